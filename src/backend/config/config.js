@@ -5,5 +5,6 @@ module.exports = {
     mongodbUri: process.env.MONGODB_URI || 'mongodb://localhost:27017/tournament_db',
     jwtSecret: process.env.JWT_SECRET || 'fallback_secret_key',
     jwtExpire: process.env.JWT_EXPIRE || '7d',
-    nodeEnv: process.env.NODE_ENV || 'development'
+    nodeEnv: process.env.NODE_ENV || 'development',
+    waitlistRefreshMinutes: Number(process.env.WAITLIST_REFRESH_MINUTES) || 1
 };
\ No newline at end of file
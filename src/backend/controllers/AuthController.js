@@ -1,4 +1,5 @@
 const User = require('../models/User');
+const TeamInvitation = require('../models/TeamInvitation');
 const { generateToken, generateRefreshToken } = require('../utils/jwt');
 
 class AuthController {
@@ -152,9 +153,11 @@ class AuthController {
                 });
             }
 
+            const pendingInvitations = await TeamInvitation.findPendingForUser(user);
+
             res.json({
                 success: true,
-                data: { user }
+                data: { user, pendingInvitations }
             });
         } catch (error) {
             console.error('Get profile error:', error);
@@ -1,6 +1,111 @@
 const Match = require('../models/Match');
 const Tournament = require('../models/Tournament');
 const Competitor = require('../models/Competitor');
+const Rating = require('../models/Rating');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const Dispute = require('../models/Dispute');
+const { findMatchConflicts } = require('../utils/scheduler');
+const { GAME_DEFINITIONS, gameKey, getGameDefinition, validateGameStats } = require('../utils/gameStats');
+const { validateDraft } = require('../utils/draft');
+const {
+    DEFAULT_MAP_POOL,
+    currentStep,
+    remainingMaps,
+    startVeto,
+    applyVetoAction,
+    applyVetoTimeouts,
+    vetoResult
+} = require('../utils/mapVeto');
+
+// Brackets where every match must produce a winner
+const { ELIMINATION_BRACKETS } = Match;
+
+// Schedule conflicts that block a change unless the organizer forces it
+const blockingConflicts = (conflicts) => conflicts.filter(conflict => conflict.severity === 'error');
+
+// Set the final score, then update competitor stats and ratings and send the
+// winner and loser on. An earlier result must be reverted first.
+const completeMatch = async (match, result, scoreA, scoreB) => {
+    await match.setResult(result, scoreA, scoreB);
+
+    const teamA = await Competitor.findById(match.teamAId);
+    const teamB = await Competitor.findById(match.teamBId);
+
+    if (teamA && teamB) {
+        if (match.winnerId && match.winnerId.equals(match.teamAId)) {
+            await teamA.updateStats(true);
+            await teamB.updateStats(false);
+        } else if (match.winnerId && match.winnerId.equals(match.teamBId)) {
+            await teamB.updateStats(true);
+            await teamA.updateStats(false);
+        }
+
+        const tournament = await Tournament.findById(match.tournamentId);
+        await Rating.recordMatch(match, teamA, teamB, tournament ? tournament.gameName : '');
+    }
+
+    await match.advance();
+};
+
+// Side ("A"/"B") the user captains in this match: the team captain for team
+// entries, otherwise whoever registered the competitor
+const captainSideOf = async (match, user) => {
+    const competitors = await Competitor.find({ _id: { $in: [match.teamAId, match.teamBId] } });
+
+    for (const competitor of competitors) {
+        const side = competitor._id.equals(match.teamAId) ? 'A' : 'B';
+        if (competitor.teamId) {
+            const team = await Team.findById(competitor.teamId);
+            if (team && team.isCaptain(user._id)) return side;
+        } else if (competitor.userId === String(user._id)) {
+            return side;
+        }
+    }
+    return null;
+};
+
+// Persist a veto state and, once it's done, the maps it produced
+const saveVeto = (match, veto) => {
+    match.veto = veto;
+    if (veto.status === 'completed') match.maps = vetoResult(veto);
+    return match.save();
+};
+
+const vetoView = (match) => {
+    const veto = match.toObject().veto;
+    return {
+        status: veto.status,
+        mapPool: veto.mapPool,
+        currentStep: veto.status === 'in_progress' ? currentStep(veto) : null,
+        remainingMaps: veto.status === 'not_started' ? veto.mapPool : remainingMaps(veto),
+        stepDeadline: veto.stepDeadline,
+        steps: veto.steps,
+        maps: match.maps
+    };
+};
+
+const isTournamentStaff = (tournament, user) =>
+    user.role === 'admin' || Boolean(tournament.organizerId && tournament.organizerId.equals(user._id));
+
+// Load a dispute with its match, and whether the user is tournament staff.
+// Returns { error: [status, message] } when it can't be shown to the user.
+const loadDispute = async (matchId, disputeId, user) => {
+    const dispute = await Dispute.findOne({ _id: disputeId, matchId });
+    if (!dispute) return { error: [404, 'Dispute not found'] };
+
+    const [match, tournament] = await Promise.all([
+        Match.findById(dispute.matchId),
+        Tournament.findById(dispute.tournamentId)
+    ]);
+    if (!match || !tournament) return { error: [404, 'Match not found'] };
+
+    const staff = isTournamentStaff(tournament, user);
+    if (!staff && !(await captainSideOf(match, user))) {
+        return { error: [403, 'Only the captains of this match and tournament staff can view its disputes'] };
+    }
+    return { dispute, match, staff };
+};
 
 class MatchController {
     // Create new match
@@ -10,11 +115,14 @@ class MatchController {
                 tournamentId,
                 teamAId,
                 teamBId,
-                scheduleAt,
+                scheduledAt,
+                scheduleAt,  // older clients sent the misspelled field
+                station,
                 round = 1,
                 bracket = 'winners',
                 bestOf = 1,
-                refereeId
+                refereeId,
+                force = false
             } = req.body;
 
             // Validate tournament exists
@@ -26,6 +134,13 @@ class MatchController {
                 });
             }
 
+            if (refereeId && !(await User.exists({ _id: refereeId, role: 'referee' }))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Referee must be a user with the referee role'
+                });
+            }
+
             // Validate competitors exist and belong to tournament
             const [teamA, teamB] = await Promise.all([
                 Competitor.findOne({ _id: teamAId, tournamentId }),
@@ -43,13 +158,23 @@ class MatchController {
                 tournamentId,
                 teamAId,
                 teamBId,
-                scheduleAt: new Date(scheduleAt),
+                scheduledAt: scheduledAt || scheduleAt ? new Date(scheduledAt || scheduleAt) : undefined,
+                station,
                 round,
                 bracket,
                 bestOf,
                 refereeId
             });
 
+            const conflicts = findMatchConflicts(match, await Match.find({ tournamentId }), tournament);
+            if (blockingConflicts(conflicts).length > 0 && !force) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Match time conflicts with the schedule',
+                    data: { conflicts }
+                });
+            }
+
             await match.save();
 
             const populatedMatch = await Match.findById(match._id)
@@ -61,7 +186,7 @@ class MatchController {
             res.status(201).json({
                 success: true,
                 message: 'Match created successfully',
-                data: { match: populatedMatch }
+                data: { match: populatedMatch, conflicts }
             });
         } catch (error) {
             console.error('Create match error:', error);
@@ -308,21 +433,46 @@ class MatchController {
                 });
             }
 
-            await match.setResult(result || '', parseInt(scoreA), parseInt(scoreB));
+            if (!match.teamAId || !match.teamBId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Both competitors must be decided before setting a result'
+                });
+            }
 
-            // Update competitor stats
-            const teamA = await Competitor.findById(match.teamAId);
-            const teamB = await Competitor.findById(match.teamBId);
+            if (parseInt(scoreA) === parseInt(scoreB) && ELIMINATION_BRACKETS.includes(match.bracket)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Elimination matches cannot end in a draw'
+                });
+            }
 
-            if (teamA && teamB) {
-                if (match.winnerId && match.winnerId.equals(match.teamAId)) {
-                    await teamA.updateStats(true);
-                    await teamB.updateStats(false);
-                } else if (match.winnerId && match.winnerId.equals(match.teamBId)) {
-                    await teamB.updateStats(true);
-                    await teamA.updateStats(false);
+            // Correcting a result: pull the previous winner/loser back out of the
+            // following matches, as long as none of them has started, and take
+            // the old result out of stats and ratings
+            if (match.status === 'completed') {
+                const downstream = await match.getDownstream();
+                const started = downstream.some(({ match: next }) => next && next.hasStarted());
+
+                if (started) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Cannot correct result after a following match has started'
+                    });
                 }
+
+                await match.rollbackAdvancement();
+                await match.revertResult();
+            }
+
+            // An organizer's result settles any escalated captain reports
+            if (match.reportStatus === 'escalated') {
+                match.reportStatus = 'resolved';
             }
+            match.outcome = 'normal';
+            match.forfeitedBy = [];
+
+            await completeMatch(match, result || '', parseInt(scoreA), parseInt(scoreB));
 
             const populatedMatch = await Match.findById(id)
                 .populate('teamAId', 'name logo')
@@ -343,16 +493,158 @@ class MatchController {
         }
     }
 
+    // Captain reports the score; matching reports from both captains finalize
+    // the match, differing ones escalate it to the organizer
+    static async reportResult(req, res) {
+        try {
+            const { id } = req.params;
+            const { scoreA, scoreB, evidenceUrls = [] } = req.body;
+
+            if (!Number.isInteger(scoreA) || !Number.isInteger(scoreB) || scoreA < 0 || scoreB < 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Both team scores are required'
+                });
+            }
+
+            const match = await Match.findById(id);
+            if (!match) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Match not found'
+                });
+            }
+
+            const tournament = await Tournament.findById(match.tournamentId);
+            if (!tournament || !tournament.resultReporting.enabled) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Captain result reporting is not enabled for this tournament'
+                });
+            }
+
+            if (!match.teamAId || !match.teamBId || ['completed', 'cancelled'].includes(match.status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This match is not awaiting a result'
+                });
+            }
+
+            if (scoreA === scoreB && ELIMINATION_BRACKETS.includes(match.bracket)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Elimination matches cannot end in a draw'
+                });
+            }
+
+            const side = await captainSideOf(match, req.user);
+            if (!side) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only the captains of this match can report its result'
+                });
+            }
+
+            match.checkReportDeadline(tournament.getReportingSettings());
+            if (match.reportStatus === 'escalated') {
+                await match.save();
+                return res.status(400).json({
+                    success: false,
+                    message: 'This match has been escalated to the organizer'
+                });
+            }
+
+            await match.submitReport({
+                side,
+                reportedBy: String(req.user._id),
+                scoreA,
+                scoreB,
+                evidenceUrls
+            });
+
+            if (match.reportStatus === 'confirmed') {
+                await completeMatch(match, match.result, scoreA, scoreB);
+            }
+
+            const messages = {
+                pending: 'Result reported, waiting for the other captain to confirm',
+                confirmed: 'Both captains agree, result confirmed',
+                escalated: 'Reports do not match, the organizer will decide the result'
+            };
+
+            res.json({
+                success: true,
+                message: messages[match.reportStatus],
+                data: { match }
+            });
+        } catch (error) {
+            console.error('Report result error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while reporting result'
+            });
+        }
+    }
+
+    // Record a forfeit by one side, or by both ("both") as a double forfeit
+    static async forfeitMatch(req, res) {
+        try {
+            const { id } = req.params;
+            const { side, reason = '' } = req.body;
+
+            if (!['A', 'B', 'both'].includes(side)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Side must be "A", "B" or "both"'
+                });
+            }
+
+            const match = await Match.findById(id);
+            if (!match) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Match not found'
+                });
+            }
+
+            if (!match.teamAId || !match.teamBId || ['completed', 'cancelled'].includes(match.status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This match is not awaiting a result'
+                });
+            }
+
+            match.logDecision(side === 'both' ? 'double-forfeit' : 'forfeit', req.user, { notes: reason, details: { side } });
+            if (side === 'both') {
+                await match.doubleForfeit();
+            } else {
+                await match.forfeit(side);
+            }
+
+            res.json({
+                success: true,
+                message: side === 'both' ? 'Double forfeit recorded' : 'Forfeit recorded',
+                data: { match }
+            });
+        } catch (error) {
+            console.error('Forfeit match error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while recording forfeit'
+            });
+        }
+    }
+
     // Reschedule match
     static async rescheduleMatch(req, res) {
         try {
             const { id } = req.params;
-            const { newDate } = req.body;
+            const { newDate, station, force = false } = req.body;
 
-            if (!newDate) {
+            if (!newDate || isNaN(new Date(newDate).getTime())) {
                 return res.status(400).json({
                     success: false,
-                    message: 'New date is required'
+                    message: 'A valid new date is required'
                 });
             }
 
@@ -364,12 +656,30 @@ class MatchController {
                 });
             }
 
-            await match.rescheduleNewDate(new Date(newDate));
+            const [tournament, matches] = await Promise.all([
+                Tournament.findById(match.tournamentId),
+                Match.find({ tournamentId: match.tournamentId })
+            ]);
+
+            const proposed = Object.assign(match.toObject(), {
+                scheduledAt: new Date(newDate),
+                station: station !== undefined ? station : match.station
+            });
+            const conflicts = tournament ? findMatchConflicts(proposed, matches, tournament) : [];
+            if (blockingConflicts(conflicts).length > 0 && !force) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'New time conflicts with the schedule',
+                    data: { conflicts }
+                });
+            }
+
+            await match.rescheduleNewDate(new Date(newDate), station);
 
             res.json({
                 success: true,
                 message: 'Match rescheduled successfully',
-                data: { match }
+                data: { match, conflicts }
             });
         } catch (error) {
             console.error('Reschedule match error:', error);
@@ -380,11 +690,32 @@ class MatchController {
         }
     }
 
-    // Add game to match (for best-of-X format)
+    // Add game to match (for best-of-X format); the match completes itself
+    // once a competitor has won the majority of the series
     static async addGame(req, res) {
         try {
             const { id } = req.params;
-            const { gameNumber, teamAScore, teamBScore, winnerId, duration, notes } = req.body;
+            const {
+                gameNumber,
+                teamAScore,
+                teamBScore,
+                winnerId,
+                duration,
+                notes,
+                stats,
+                teamStats,
+                playerStats = [],
+                draft = []
+            } = req.body;
+
+            const isObjectList = (value) => Array.isArray(value)
+                && value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+            if (!isObjectList(playerStats) || !isObjectList(draft)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'playerStats and draft must be arrays of objects'
+                });
+            }
 
             const match = await Match.findById(id);
             if (!match) {
@@ -394,16 +725,99 @@ class MatchController {
                 });
             }
 
-            const gameData = {
-                gameNumber: gameNumber || match.games.length + 1,
-                teamAScore: parseInt(teamAScore) || 0,
-                teamBScore: parseInt(teamBScore) || 0,
-                winner: winnerId,
-                duration: duration || 0,
-                notes: notes || ''
+            if (!match.teamAId || !match.teamBId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Both competitors must be decided before games are recorded'
+                });
+            }
+
+            if (['completed', 'cancelled'].includes(match.status) || match.isSeriesDecided()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Match is already over'
+                });
+            }
+
+            if (match.games.length >= match.bestOf) {
+                return res.status(400).json({
+                    success: false,
+                    message: `A best-of-${match.bestOf} series has no more games to play`
+                });
+            }
+
+            if (gameNumber && parseInt(gameNumber) !== match.games.length + 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Next game to record is game ${match.games.length + 1}`
+                });
+            }
+
+            const scoreA = parseInt(teamAScore) || 0;
+            const scoreB = parseInt(teamBScore) || 0;
+            const winner = winnerId || (scoreA > scoreB ? match.teamAId : scoreB > scoreA ? match.teamBId : null);
+            if (!winner || ![match.teamAId, match.teamBId].some(competitorId => competitorId.equals(winner))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Game winner must be one of the two competitors'
+                });
+            }
+
+            const tournament = await Tournament.findById(match.tournamentId);
+            const gameName = tournament ? tournament.gameName : '';
+
+            // CS2 games start from the map and sides decided in the veto
+            const plannedMap = match.maps.find(item => item.gameNumber === match.games.length + 1);
+            const gameStats = plannedMap && gameKey(gameName) === 'cs2'
+                ? {
+                    map: plannedMap.map,
+                    ...(plannedMap.teamAStartSide && { teamAStartSide: plannedMap.teamAStartSide }),
+                    ...stats
+                }
+                : stats;
+
+            const competitorIds = [match.teamAId, match.teamBId];
+            const statErrors = [
+                ...validateGameStats(gameName, { stats: gameStats, teamStats, playerStats }, competitorIds),
+                ...validateDraft(gameName, draft, { stats: gameStats, playerStats, competitorIds })
+            ];
+            if (statErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid game stats or draft',
+                    errors: statErrors
+                });
+            }
+
+            // Fill in-game names from the roster snapshots when only user IDs are sent
+            const competitors = await Competitor.find({ _id: { $in: [match.teamAId, match.teamBId] } });
+            const rosterIgn = (line) => {
+                const competitor = competitors.find(item => item._id.equals(line.competitorId));
+                const member = competitor && competitor.roster.find(item => item.userId === String(line.userId));
+                return member ? member.ign : undefined;
             };
 
-            await match.addGame(gameData);
+            await match.addGame({
+                teamAScore: scoreA,
+                teamBScore: scoreB,
+                winner,
+                duration: duration || 0,
+                notes: notes || '',
+                stats: gameStats,
+                teamStats,
+                playerStats: playerStats.map(line => ({
+                    competitorId: line.competitorId,
+                    userId: line.userId,
+                    ign: line.ign || rosterIgn(line),
+                    stats: line.stats || {}
+                })),
+                draft: draft.map(({ type, side, champion, userId, ign }) => ({ type, side, champion: champion || null, userId, ign }))
+            });
+
+            if (match.isSeriesDecided()) {
+                const series = match.seriesScore();
+                await completeMatch(match, match.result, series.scoreA, series.scoreB);
+            }
 
             const populatedMatch = await Match.findById(id)
                 .populate('teamAId', 'name logo')
@@ -413,7 +827,7 @@ class MatchController {
 
             res.json({
                 success: true,
-                message: 'Game added successfully',
+                message: match.status === 'completed' ? 'Game added, series completed' : 'Game added successfully',
                 data: { match: populatedMatch }
             });
         } catch (error) {
@@ -425,6 +839,697 @@ class MatchController {
         }
     }
 
+    // Start the CS2 map veto (organizer/admin)
+    static async startMapVeto(req, res) {
+        try {
+            const { id } = req.params;
+
+            const match = await Match.findById(id);
+            if (!match) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Match not found'
+                });
+            }
+
+            const tournament = await Tournament.findById(match.tournamentId);
+            if (!tournament || gameKey(tournament.gameName) !== 'cs2') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Map veto is only available for CS2 tournaments'
+                });
+            }
+
+            if (!match.teamAId || !match.teamBId || match.hasStarted() || match.games.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Map veto needs both competitors and must happen before the match starts'
+                });
+            }
+
+            if (match.veto.status !== 'not_started') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Map veto has already started'
+                });
+            }
+
+            const mapPool = tournament.mapVeto.mapPool.length ? [...tournament.mapVeto.mapPool] : DEFAULT_MAP_POOL;
+            const unknownMaps = mapPool.filter(map => !GAME_DEFINITIONS.cs2.game.map.values.includes(map));
+            if (unknownMaps.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown maps in the pool: ${unknownMaps.join(', ')}`
+                });
+            }
+
+            if (new Set(mapPool).size !== mapPool.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Map pool cannot list a map twice'
+                });
+            }
+
+            let veto;
+            try {
+                veto = startVeto(mapPool, match.bestOf, tournament.mapVeto.stepTimeoutSeconds);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            await saveVeto(match, veto);
+
+            res.status(201).json({
+                success: true,
+                message: 'Map veto started',
+                data: { veto: vetoView(match) }
+            });
+        } catch (error) {
+            console.error('Start map veto error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while starting map veto'
+            });
+        }
+    }
+
+    // Current veto state; steps whose time ran out are played first
+    static async getMapVeto(req, res) {
+        try {
+            const { id } = req.params;
+
+            const match = await Match.findById(id);
+            if (!match) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Match not found'
+                });
+            }
+
+            const veto = match.toObject().veto;
+            if (veto.status === 'in_progress' && veto.stepDeadline <= new Date()) {
+                await saveVeto(match, applyVetoTimeouts(veto));
+            }
+
+            res.json({
+                success: true,
+                data: { veto: vetoView(match) }
+            });
+        } catch (error) {
+            console.error('Get map veto error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching map veto'
+            });
+        }
+    }
+
+    // Ban, pick or choose a side (captain of the team whose turn it is; the
+    // organizer or an admin may act for a team by passing "team")
+    static async submitVetoAction(req, res) {
+        try {
+            const { id } = req.params;
+            const { map, side, team } = req.body;
+
+            const match = await Match.findById(id);
+            if (!match) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Match not found'
+                });
+            }
+
+            const veto = applyVetoTimeouts(match.toObject().veto);
+            if (veto.status !== 'in_progress') {
+                await saveVeto(match, veto);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Map veto is not in progress',
+                    data: { veto: vetoView(match) }
+                });
+            }
+
+            let actingSide = await captainSideOf(match, req.user);
+            if (!actingSide && team) {
+                const tournament = await Tournament.findById(match.tournamentId);
+                const isOrganizer = tournament && tournament.organizerId && tournament.organizerId.equals(req.user._id);
+                if (isOrganizer || req.user.role === 'admin') actingSide = team;
+            }
+
+            if (!actingSide) {
+                await saveVeto(match, veto);
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only the captains of this match can take part in the veto'
+                });
+            }
+
+            try {
+                applyVetoAction(veto, { team: actingSide, map, side });
+            } catch (error) {
+                await saveVeto(match, veto);
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    data: { veto: vetoView(match) }
+                });
+            }
+
+            await saveVeto(match, veto);
+
+            res.json({
+                success: true,
+                message: veto.status === 'completed' ? 'Map veto completed' : 'Veto action recorded',
+                data: { veto: vetoView(match) }
+            });
+        } catch (error) {
+            console.error('Veto action error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while recording veto action'
+            });
+        }
+    }
+
+    // Per-game box scores laid out by the game's stat definition
+    static async getBoxScore(req, res) {
+        try {
+            const { id } = req.params;
+
+            const match = await Match.findById(id)
+                .populate('teamAId', 'name logoUrl')
+                .populate('teamBId', 'name logoUrl')
+                .populate('tournamentId', 'name gameName');
+
+            if (!match) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Match not found'
+                });
+            }
+
+            const definition = getGameDefinition(match.tournamentId && match.tournamentId.gameName);
+            const sideOf = (competitorId) => {
+                if (match.teamAId && match.teamAId._id.equals(competitorId)) return 'A';
+                if (match.teamBId && match.teamBId._id.equals(competitorId)) return 'B';
+                return null;
+            };
+
+            const games = match.games.map(game => ({
+                gameNumber: game.gameNumber,
+                winner: sideOf(game.winner),
+                teamAScore: game.teamAScore,
+                teamBScore: game.teamBScore,
+                duration: game.duration,
+                stats: game.stats || {},
+                draft: game.draft,
+                teams: {
+                    A: {
+                        stats: (game.teamStats && game.teamStats.A) || {},
+                        players: game.playerStats.filter(line => sideOf(line.competitorId) === 'A')
+                    },
+                    B: {
+                        stats: (game.teamStats && game.teamStats.B) || {},
+                        players: game.playerStats.filter(line => sideOf(line.competitorId) === 'B')
+                    }
+                }
+            }));
+
+            res.json({
+                success: true,
+                data: {
+                    match: {
+                        _id: match._id,
+                        teamA: match.teamAId,
+                        teamB: match.teamBId,
+                        bestOf: match.bestOf,
+                        score: match.score,
+                        status: match.status
+                    },
+                    definition: definition && {
+                        key: definition.key,
+                        name: definition.name,
+                        game: definition.game,
+                        team: definition.team,
+                        player: definition.player
+                    },
+                    games
+                }
+            });
+        } catch (error) {
+            console.error('Get box score error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching box score'
+            });
+        }
+    }
+
+    // Open a dispute on a match. The winner of a completed match is held back
+    // from the following matches until every dispute is resolved.
+    static async openDispute(req, res) {
+        try {
+            const { id } = req.params;
+            const { reason, description, evidenceUrls = [] } = req.body;
+
+            if (!reason || !description) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Reason and description are required'
+                });
+            }
+
+            const match = await Match.findById(id);
+            if (!match) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Match not found'
+                });
+            }
+
+            if (!match.teamAId || !match.teamBId || match.status === 'cancelled') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This match cannot be disputed'
+                });
+            }
+
+            const tournament = await Tournament.findById(match.tournamentId);
+            const staff = tournament && isTournamentStaff(tournament, req.user);
+            const side = staff ? null : await captainSideOf(match, req.user);
+            if (!staff && !side) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only the captains of this match and tournament staff can open a dispute'
+                });
+            }
+
+            const dispute = new Dispute({
+                matchId: match._id,
+                tournamentId: match.tournamentId,
+                openedBy: String(req.user._id),
+                side,
+                reason,
+                description,
+                evidenceUrls
+            });
+            // Nothing on the match may change before the dispute is known to be valid
+            await dispute.validate();
+
+            const rollback = match.status === 'completed' && !match.disputed;
+            if (rollback) {
+                const downstream = await match.getDownstream();
+                if (downstream.some(({ match: next }) => next && next.hasStarted())) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Cannot dispute a match after a following match has started'
+                    });
+                }
+            }
+
+            await dispute.save();
+
+            // Mark the match disputed before pulling its winner back, so
+            // resolving the dispute always re-advances it
+            match.disputed = true;
+            match.logDecision('dispute-opened', req.user, { disputeId: dispute._id, notes: reason });
+            await match.save();
+            if (rollback) await match.rollbackAdvancement();
+
+            res.status(201).json({
+                success: true,
+                message: 'Dispute opened successfully',
+                data: { dispute }
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            console.error('Open dispute error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while opening dispute'
+            });
+        }
+    }
+
+    // Get the disputes of a match (captains of the match or staff)
+    static async getMatchDisputes(req, res) {
+        try {
+            const { id } = req.params;
+
+            const match = await Match.findById(id);
+            if (!match) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Match not found'
+                });
+            }
+
+            const tournament = await Tournament.findById(match.tournamentId);
+            const staff = tournament && isTournamentStaff(tournament, req.user);
+            if (!staff && !(await captainSideOf(match, req.user))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only the captains of this match and tournament staff can view its disputes'
+                });
+            }
+
+            const disputes = await Dispute.find({ matchId: id })
+                .populate('openedBy', 'fullName avatarUrl')
+                .sort({ createdAt: -1 });
+
+            res.json({
+                success: true,
+                data: {
+                    disputes,
+                    decisions: match.decisions
+                }
+            });
+        } catch (error) {
+            console.error('Get match disputes error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching disputes'
+            });
+        }
+    }
+
+    // Get a dispute with its discussion thread
+    static async getDispute(req, res) {
+        try {
+            const { dispute, error } = await loadDispute(req.params.id, req.params.disputeId, req.user);
+            if (error) {
+                return res.status(error[0]).json({
+                    success: false,
+                    message: error[1]
+                });
+            }
+
+            await dispute.populate('messages.authorId', 'fullName avatarUrl');
+
+            res.json({
+                success: true,
+                data: { dispute }
+            });
+        } catch (error) {
+            console.error('Get dispute error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching dispute'
+            });
+        }
+    }
+
+    // Post to a dispute's thread
+    static async addDisputeMessage(req, res) {
+        try {
+            const { body, evidenceUrls = [] } = req.body;
+
+            if (!body) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Message body is required'
+                });
+            }
+
+            const { dispute, staff, error } = await loadDispute(req.params.id, req.params.disputeId, req.user);
+            if (error) {
+                return res.status(error[0]).json({
+                    success: false,
+                    message: error[1]
+                });
+            }
+
+            if (dispute.status !== 'open') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This dispute has already been resolved'
+                });
+            }
+
+            await dispute.addMessage(req.user, body, evidenceUrls, staff);
+
+            res.status(201).json({
+                success: true,
+                message: 'Message posted successfully',
+                data: { dispute }
+            });
+        } catch (error) {
+            console.error('Add dispute message error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while posting message'
+            });
+        }
+    }
+
+    // Resolve a dispute by overriding the result, ordering a replay, issuing a
+    // penalty or dismissing it. The decision is logged on the match.
+    static async resolveDispute(req, res) {
+        try {
+            const { action, notes = '', result, scoreA, scoreB, scheduledAt, penalty } = req.body;
+
+            if (!['override', 'replay', 'penalty', 'dismiss'].includes(action)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Action must be one of override, replay, penalty, dismiss'
+                });
+            }
+
+            const { dispute, match, staff, error } = await loadDispute(req.params.id, req.params.disputeId, req.user);
+            if (error) {
+                return res.status(error[0]).json({
+                    success: false,
+                    message: error[1]
+                });
+            }
+
+            if (!staff) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only tournament staff can resolve disputes'
+                });
+            }
+
+            if (dispute.status !== 'open') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This dispute has already been resolved'
+                });
+            }
+
+            if (action === 'override') {
+                if (!Number.isInteger(scoreA) || !Number.isInteger(scoreB) || scoreA < 0 || scoreB < 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Both team scores are required to override the result'
+                    });
+                }
+                if (scoreA === scoreB && ELIMINATION_BRACKETS.includes(match.bracket)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Elimination matches cannot end in a draw'
+                    });
+                }
+            }
+
+            if (action === 'penalty' && (!penalty || !['A', 'B'].includes(penalty.side) ||
+                !Number.isInteger(penalty.points) || penalty.points <= 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A penalty needs a side ("A" or "B") and a positive number of points'
+                });
+            }
+
+            if (action === 'replay' && scheduledAt && isNaN(new Date(scheduledAt).getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid scheduledAt date'
+                });
+            }
+
+            await dispute.resolve(action, notes, req.user);
+
+            const stillDisputed = await Dispute.hasOpen(match._id);
+            match.disputed = stillDisputed;
+
+            if (action === 'override') {
+                // Whatever was counted before (win, draw or forfeit) is taken out first
+                await match.revertResult();
+                if (match.reportStatus === 'escalated') match.reportStatus = 'resolved';
+                match.outcome = 'normal';
+                match.forfeitedBy = [];
+
+                match.logDecision(action, req.user, { disputeId: dispute._id, notes, details: { scoreA, scoreB } });
+                await completeMatch(match, result || match.result, scoreA, scoreB);
+            } else {
+                const details = {};
+                if (action === 'replay') {
+                    await match.revertResult();
+                    match.resetForReplay(scheduledAt ? new Date(scheduledAt) : null);
+                    if (scheduledAt) details.scheduledAt = new Date(scheduledAt);
+                } else if (action === 'penalty') {
+                    const competitor = await Competitor.findById(penalty.side === 'A' ? match.teamAId : match.teamBId);
+                    competitor.penalties.push({
+                        points: penalty.points,
+                        reason: penalty.reason || notes,
+                        matchId: match._id,
+                        disputeId: dispute._id,
+                        issuedBy: String(req.user._id)
+                    });
+                    await competitor.save();
+                    Object.assign(details, { competitorId: competitor._id, points: penalty.points });
+                }
+
+                match.logDecision(action, req.user, { disputeId: dispute._id, notes, details });
+                await match.save();
+                // The result stands: send the winner on now that nothing blocks it
+                if (match.status === 'completed') await match.advance();
+            }
+
+            res.json({
+                success: true,
+                message: 'Dispute resolved successfully',
+                data: { dispute, match }
+            });
+        } catch (error) {
+            console.error('Resolve dispute error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while resolving dispute'
+            });
+        }
+    }
+
+    // Matches the current referee is assigned to, directly or through their
+    // tournaments. Finished matches are left out unless a status is given.
+    static async getRefereeQueue(req, res) {
+        try {
+            const { status } = req.query;
+            const refereeId = String(req.user._id);
+
+            const tournaments = await Tournament.find({ referees: refereeId }).select('_id');
+            const filter = {
+                $or: [{ refereeId }, { tournamentId: { $in: tournaments.map(tournament => tournament._id) } }],
+                status: status || { $nin: ['completed', 'cancelled'] }
+            };
+
+            const matches = await Match.find(filter)
+                .populate('teamAId', 'name logo')
+                .populate('teamBId', 'name logo')
+                .populate('tournamentId', 'name gameName status')
+                .sort({ scheduledAt: 1, round: 1, matchNumber: 1 });
+
+            res.json({
+                success: true,
+                data: { matches }
+            });
+        } catch (error) {
+            console.error('Get referee queue error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching referee queue'
+            });
+        }
+    }
+
+    // Assign a referee to the match, or clear it with refereeId null
+    static async assignReferee(req, res) {
+        try {
+            const { id } = req.params;
+            const { refereeId = null } = req.body;
+
+            const match = await Match.findById(id);
+            if (!match) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Match not found'
+                });
+            }
+
+            if (refereeId && !(await User.exists({ _id: refereeId, role: 'referee' }))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Referee must be a user with the referee role'
+                });
+            }
+
+            match.refereeId = refereeId ? String(refereeId) : null;
+            await match.save();
+            await match.populate('refereeId', 'fullName email');
+
+            res.json({
+                success: true,
+                message: refereeId ? 'Referee assigned successfully' : 'Referee removed successfully',
+                data: { match }
+            });
+        } catch (error) {
+            console.error('Assign referee error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while assigning referee'
+            });
+        }
+    }
+
+    // File an incident report on the match (official required)
+    static async reportIncident(req, res) {
+        try {
+            const { id } = req.params;
+            const { type, description, side = null, gameNumber, evidenceUrls = [] } = req.body;
+
+            if (!type || !description) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Incident type and description are required'
+                });
+            }
+
+            const match = await Match.findById(id);
+            if (!match) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Match not found'
+                });
+            }
+
+            match.incidents.push({
+                type,
+                side,
+                gameNumber,
+                description,
+                evidenceUrls,
+                reportedBy: String(req.user._id)
+            });
+            await match.save();
+
+            res.status(201).json({
+                success: true,
+                message: 'Incident reported successfully',
+                data: { incidents: match.incidents }
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            console.error('Report incident error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while reporting incident'
+            });
+        }
+    }
+
     // Get matches by tournament
     static async getMatchesByTournament(req, res) {
         try {
@@ -0,0 +1,132 @@
+const PlayerProfile = require('../models/PlayerProfile');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const Competitor = require('../models/Competitor');
+
+class PlayerController {
+    // Public player page: profile, teams and tournament history
+    static async getPlayer(req, res) {
+        try {
+            const { id } = req.params;
+
+            const user = await User.findById(id).select('fullName avatarUrl role createdAt');
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Player not found'
+                });
+            }
+
+            const profile = await PlayerProfile.findOne({ userId: id });
+
+            const teams = await Team.find({ 'members.userId': id, isActive: true })
+                .select('name logoUrl gameName region captainId members');
+
+            // Tournaments entered solo or as part of a team roster
+            const entries = await Competitor.find({ $or: [{ userId: id, teamId: null }, { 'roster.userId': id }] })
+                .select('name teamId tournamentId status wins losses roster')
+                .populate('tournamentId', 'name gameName status startDate endDate');
+
+            const tournaments = entries
+                .filter(entry => entry.tournamentId)
+                .map(entry => {
+                    const rosterEntry = entry.roster.find(member => member.userId === id);
+                    return {
+                        tournament: entry.tournamentId,
+                        competitorId: entry._id,
+                        competitorName: entry.name,
+                        teamId: entry.teamId,
+                        ign: rosterEntry ? rosterEntry.ign : null,
+                        role: rosterEntry ? rosterEntry.role : null,
+                        status: entry.status,
+                        wins: entry.wins,
+                        losses: entry.losses
+                    };
+                });
+
+            res.json({
+                success: true,
+                data: {
+                    player: user,
+                    profile,
+                    teams: teams.map(team => ({
+                        _id: team._id,
+                        name: team.name,
+                        logoUrl: team.logoUrl,
+                        gameName: team.gameName,
+                        region: team.region,
+                        role: team.findMember(id).role
+                    })),
+                    tournaments
+                }
+            });
+        } catch (error) {
+            console.error('Get player error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching player'
+            });
+        }
+    }
+
+    // Current user's player profile
+    static async getMyProfile(req, res) {
+        try {
+            const profile = await PlayerProfile.findOne({ userId: String(req.user._id) });
+
+            res.json({
+                success: true,
+                data: { profile }
+            });
+        } catch (error) {
+            console.error('Get player profile error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching player profile'
+            });
+        }
+    }
+
+    // Create or update the current user's player profile
+    static async updateMyProfile(req, res) {
+        try {
+            const { gameAccounts, mainRoles, region, bio } = req.body;
+
+            const updateData = {};
+            if (gameAccounts !== undefined) updateData.gameAccounts = gameAccounts;
+            if (mainRoles !== undefined) updateData.mainRoles = mainRoles;
+            if (region !== undefined) updateData.region = region;
+            if (bio !== undefined) updateData.bio = bio;
+
+            const profile = await PlayerProfile.findOneAndUpdate(
+                { userId: String(req.user._id) },
+                updateData,
+                { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+            );
+
+            res.json({
+                success: true,
+                message: 'Player profile updated successfully',
+                data: { profile }
+            });
+        } catch (error) {
+            console.error('Update player profile error:', error);
+
+            if (error.name === 'ValidationError') {
+                const errors = Object.values(error.errors).map(err => err.message);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Server error while updating player profile'
+            });
+        }
+    }
+}
+
+module.exports = PlayerController;
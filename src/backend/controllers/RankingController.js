@@ -0,0 +1,73 @@
+const Rating = require('../models/Rating');
+
+class RankingController {
+    // Get rating leaderboard
+    static async getRankings(req, res) {
+        try {
+            const { page = 1, limit = 20, gameName, region } = req.query;
+
+            const query = {};
+            if (gameName) query.gameName = gameName;
+            if (region) query.region = region;
+
+            const rankings = await Rating.find(query)
+                .select('-history')
+                .sort({ rating: -1, matchesPlayed: -1 })
+                .limit(limit * 1)
+                .skip((page - 1) * limit);
+
+            const total = await Rating.countDocuments(query);
+
+            res.json({
+                success: true,
+                data: {
+                    rankings: rankings.map((rating, index) => ({
+                        rank: (page - 1) * limit + index + 1,
+                        ...rating.toObject()
+                    })),
+                    pagination: {
+                        current: parseInt(page),
+                        pages: Math.ceil(total / limit),
+                        total
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get rankings error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching rankings'
+            });
+        }
+    }
+
+    // Get a team's rating with its match-by-match history
+    static async getRatingHistory(req, res) {
+        try {
+            const { id } = req.params;
+
+            const rating = await Rating.findById(id)
+                .populate('history.tournamentId', 'name');
+
+            if (!rating) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Rating not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { rating }
+            });
+        } catch (error) {
+            console.error('Get rating history error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching rating history'
+            });
+        }
+    }
+}
+
+module.exports = RankingController;
@@ -0,0 +1,707 @@
+const Team = require('../models/Team');
+const Competitor = require('../models/Competitor');
+const User = require('../models/User');
+const TeamInvitation = require('../models/TeamInvitation');
+const PlayerProfile = require('../models/PlayerProfile');
+
+// Why `userId` can't join `team` right now, or null when they can
+const rosterBlocker = async (team, userId) => {
+    if (team.findMember(userId)) return 'User is already on this team';
+    if (!team.hasRosterSpace()) return `Roster is full (maximum ${team.maxRosterSize} members)`;
+    if (await team.isRosterLocked()) return 'Roster is locked while the team plays in an ongoing tournament';
+    return null;
+};
+
+class TeamController {
+    // Create new team; the creator becomes its captain
+    static async createTeam(req, res) {
+        try {
+            const {
+                name,
+                logoUrl,
+                description,
+                gameName,
+                region,
+                sponsors = [],
+                achievements = [],
+                socialMedia = {}
+            } = req.body;
+
+            const team = new Team({
+                name,
+                logoUrl,
+                description,
+                gameName,
+                region,
+                captainId: req.user._id,
+                members: [{ userId: req.user._id, role: 'captain' }],
+                sponsors,
+                achievements,
+                socialMedia
+            });
+
+            await team.save();
+
+            res.status(201).json({
+                success: true,
+                message: 'Team created successfully',
+                data: { team }
+            });
+        } catch (error) {
+            console.error('Create team error:', error);
+
+            if (error.name === 'ValidationError') {
+                const errors = Object.values(error.errors).map(err => err.message);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Server error while creating team'
+            });
+        }
+    }
+
+    // Get all teams with filtering and pagination
+    static async getAllTeams(req, res) {
+        try {
+            const { page = 1, limit = 10, gameName, region, search } = req.query;
+
+            const query = { isActive: true };
+            if (gameName) query.gameName = gameName;
+            if (region) query.region = region;
+            if (search) query.name = { $regex: search, $options: 'i' };
+
+            const teams = await Team.find(query)
+                .populate('captainId', 'fullName avatarUrl')
+                .sort({ name: 1 })
+                .limit(limit * 1)
+                .skip((page - 1) * limit);
+
+            const total = await Team.countDocuments(query);
+
+            res.json({
+                success: true,
+                data: {
+                    teams,
+                    pagination: {
+                        current: parseInt(page),
+                        pages: Math.ceil(total / limit),
+                        total
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get teams error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching teams'
+            });
+        }
+    }
+
+    // Get team by ID
+    static async getTeamById(req, res) {
+        try {
+            const { id } = req.params;
+
+            const team = await Team.findById(id);
+            if (!team) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Team not found'
+                });
+            }
+
+            // Show in-game names next to each member
+            const memberIds = team.members.map(member => member.userId);
+            const igns = await PlayerProfile.ignsFor(memberIds, team.gameName);
+
+            await team.populate([
+                { path: 'captainId', select: 'fullName avatarUrl' },
+                { path: 'members.userId', select: 'fullName avatarUrl' }
+            ]);
+            const members = team.members.map((member, index) => ({
+                ...member.toObject(),
+                ign: igns.get(memberIds[index]) || null
+            }));
+
+            const tournaments = await Competitor.find({ teamId: id })
+                .select('tournamentId status rosterLockedAt')
+                .populate('tournamentId', 'name status startDate');
+
+            res.json({
+                success: true,
+                data: { team: { ...team.toObject(), members }, tournaments }
+            });
+        } catch (error) {
+            console.error('Get team error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching team'
+            });
+        }
+    }
+
+    // Update team profile (captain/admin)
+    static async updateTeam(req, res) {
+        try {
+            const updateData = req.body;
+
+            // Roster, captaincy and deactivation have their own endpoints
+            delete updateData._id;
+            delete updateData.captainId;
+            delete updateData.members;
+            delete updateData.isActive;
+
+            if (updateData.maxRosterSize !== undefined && updateData.maxRosterSize < req.team.members.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Roster size cannot be below the current ${req.team.members.length} members`
+                });
+            }
+
+            const team = await Team.findByIdAndUpdate(
+                req.team._id,
+                updateData,
+                { new: true, runValidators: true }
+            );
+
+            res.json({
+                success: true,
+                message: 'Team updated successfully',
+                data: { team }
+            });
+        } catch (error) {
+            console.error('Update team error:', error);
+
+            if (error.name === 'ValidationError') {
+                const errors = Object.values(error.errors).map(err => err.message);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Server error while updating team'
+            });
+        }
+    }
+
+    // Disband team (captain/admin); tournament history keeps its competitors
+    static async deleteTeam(req, res) {
+        try {
+            const team = req.team;
+
+            if (await team.isRosterLocked()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot disband a team that is playing in an ongoing tournament'
+                });
+            }
+
+            team.isActive = false;
+            await team.save();
+
+            res.json({
+                success: true,
+                message: 'Team disbanded successfully'
+            });
+        } catch (error) {
+            console.error('Delete team error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while deleting team'
+            });
+        }
+    }
+
+    // Add member to roster (captain/admin)
+    static async addMember(req, res) {
+        try {
+            const { userId, role = 'player', position } = req.body;
+            const team = req.team;
+
+            if (!userId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'User ID is required'
+                });
+            }
+
+            if (role === 'captain' || !Team.MEMBER_ROLES.includes(role)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid member role'
+                });
+            }
+
+            const user = await User.findById(userId);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const blocker = await rosterBlocker(team, userId);
+            if (blocker) {
+                return res.status(400).json({
+                    success: false,
+                    message: blocker
+                });
+            }
+
+            team.members.push({ userId: String(userId), role, position });
+            await team.save();
+
+            res.status(201).json({
+                success: true,
+                message: 'Member added successfully',
+                data: { team }
+            });
+        } catch (error) {
+            console.error('Add team member error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while adding team member'
+            });
+        }
+    }
+
+    // Change a member's role or position; giving "captain" transfers captaincy
+    static async updateMember(req, res) {
+        try {
+            const { userId } = req.params;
+            const { role, position } = req.body;
+            const team = req.team;
+
+            if (await team.isRosterLocked()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Roster is locked while the team plays in an ongoing tournament'
+                });
+            }
+
+            const member = team.findMember(userId);
+            if (!member) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Member not found on this team'
+                });
+            }
+
+            if (role && !Team.MEMBER_ROLES.includes(role)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid member role'
+                });
+            }
+
+            if (member.role === 'captain' && role && role !== 'captain') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Transfer captaincy to another member first'
+                });
+            }
+
+            if (role === 'captain') {
+                team.transferCaptaincy(userId);
+            } else if (role) {
+                member.role = role;
+            }
+            if (position !== undefined) member.position = position;
+
+            await team.save();
+
+            res.json({
+                success: true,
+                message: 'Member updated successfully',
+                data: { team }
+            });
+        } catch (error) {
+            console.error('Update team member error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while updating team member'
+            });
+        }
+    }
+
+    // Remove member from roster (captain/admin, or the member leaving)
+    static async removeMember(req, res) {
+        try {
+            const { id, userId } = req.params;
+
+            const team = await Team.findOne({ _id: id, isActive: true });
+            if (!team) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Team not found'
+                });
+            }
+
+            const isSelf = String(req.user._id) === String(userId);
+            if (!isSelf && !team.isCaptain(req.user._id) && req.user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only the team captain can remove other members'
+                });
+            }
+
+            const member = team.findMember(userId);
+            if (!member) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Member not found on this team'
+                });
+            }
+
+            if (await team.isRosterLocked()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Roster is locked while the team plays in an ongoing tournament'
+                });
+            }
+
+            if (member.role === 'captain') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Transfer captaincy before the captain leaves the team'
+                });
+            }
+
+            team.members = team.members.filter(item => item.userId !== member.userId);
+            await team.save();
+
+            res.json({
+                success: true,
+                message: 'Member removed successfully',
+                data: { team }
+            });
+        } catch (error) {
+            console.error('Remove team member error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while removing team member'
+            });
+        }
+    }
+
+    // Invite a player by user ID or email (captain/admin)
+    static async inviteMember(req, res) {
+        try {
+            const { userId, email, message } = req.body;
+            const team = req.team;
+
+            if (!userId && (!email || typeof email !== 'string')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'User ID or email is required'
+                });
+            }
+
+            const user = userId
+                ? await User.findById(userId)
+                : await User.findOne({ email: email.toLowerCase() });
+            if (userId && !user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const blocker = user ? await rosterBlocker(team, user._id) : null;
+            if (blocker) {
+                return res.status(400).json({
+                    success: false,
+                    message: blocker
+                });
+            }
+
+            const invitee = user ? { userId: String(user._id) } : { email: email.toLowerCase() };
+            await TeamInvitation.expireStale({ teamId: team._id });
+            if (await TeamInvitation.exists({ teamId: team._id, type: 'invite', status: 'pending', ...invitee })) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This player already has a pending invitation'
+                });
+            }
+
+            const invitation = await TeamInvitation.create({
+                teamId: team._id,
+                type: 'invite',
+                userId: user ? String(user._id) : null,
+                email: user ? user.email : invitee.email,
+                createdBy: String(req.user._id),
+                message
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Invitation sent successfully',
+                data: { invitation }
+            });
+        } catch (error) {
+            console.error('Invite team member error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while sending invitation'
+            });
+        }
+    }
+
+    // Ask to join a team
+    static async requestToJoin(req, res) {
+        try {
+            const { id } = req.params;
+            const { message } = req.body;
+
+            const team = await Team.findOne({ _id: id, isActive: true });
+            if (!team) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Team not found'
+                });
+            }
+
+            const blocker = await rosterBlocker(team, req.user._id);
+            if (blocker) {
+                return res.status(400).json({
+                    success: false,
+                    message: blocker
+                });
+            }
+
+            await TeamInvitation.expireStale({ teamId: id });
+            if (await TeamInvitation.exists({ teamId: id, userId: String(req.user._id), status: 'pending' })) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You already have a pending invitation or request for this team'
+                });
+            }
+
+            const invitation = await TeamInvitation.create({
+                teamId: id,
+                type: 'request',
+                userId: String(req.user._id),
+                email: req.user.email,
+                createdBy: String(req.user._id),
+                message
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Join request sent successfully',
+                data: { invitation }
+            });
+        } catch (error) {
+            console.error('Request to join team error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while requesting to join team'
+            });
+        }
+    }
+
+    // Pending invitations and join requests of a team (captain/admin)
+    static async getTeamInvitations(req, res) {
+        try {
+            const { status = 'pending', type } = req.query;
+
+            await TeamInvitation.expireStale({ teamId: req.team._id });
+
+            const query = { teamId: req.team._id, status };
+            if (type) query.type = type;
+
+            const invitations = await TeamInvitation.find(query)
+                .populate('userId', 'fullName email avatarUrl')
+                .populate('createdBy', 'fullName avatarUrl')
+                .sort({ createdAt: -1 });
+
+            res.json({
+                success: true,
+                data: { invitations }
+            });
+        } catch (error) {
+            console.error('Get team invitations error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching invitations'
+            });
+        }
+    }
+
+    // Accept an invitation (invited player) or a join request (captain/admin)
+    static async acceptInvitation(req, res) {
+        try {
+            const invitation = await TeamInvitation.findById(req.params.invitationId);
+            if (!invitation) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Invitation not found'
+                });
+            }
+
+            const team = await Team.findOne({ _id: invitation.teamId, isActive: true });
+            if (!team) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Team not found'
+                });
+            }
+
+            if (!invitation.canRespond(req.user, team)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You cannot respond to this invitation'
+                });
+            }
+
+            if (invitation.isExpired()) {
+                if (invitation.status === 'pending') {
+                    invitation.status = 'expired';
+                    await invitation.save();
+                }
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invitation has expired'
+                });
+            }
+
+            if (invitation.status !== 'pending') {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invitation is already ${invitation.status}`
+                });
+            }
+
+            const memberId = invitation.type === 'invite' ? String(req.user._id) : invitation.userId;
+            const blocker = await rosterBlocker(team, memberId);
+            if (blocker) {
+                return res.status(400).json({
+                    success: false,
+                    message: blocker
+                });
+            }
+
+            team.members.push({ userId: memberId, role: 'player' });
+            await team.save();
+            await invitation.respond('accepted', req.user);
+
+            // Any other open invitation or request between the two is now moot
+            await TeamInvitation.updateMany(
+                { _id: { $ne: invitation._id }, teamId: team._id, userId: memberId, status: 'pending' },
+                { status: 'cancelled' }
+            );
+
+            res.json({
+                success: true,
+                message: 'Invitation accepted successfully',
+                data: { invitation, team }
+            });
+        } catch (error) {
+            console.error('Accept invitation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while accepting invitation'
+            });
+        }
+    }
+
+    // Decline an invitation (invited player) or a join request (captain/admin)
+    static async declineInvitation(req, res) {
+        try {
+            const invitation = await TeamInvitation.findById(req.params.invitationId);
+            if (!invitation) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Invitation not found'
+                });
+            }
+
+            const team = await Team.findById(invitation.teamId);
+            if (!team || !invitation.canRespond(req.user, team)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You cannot respond to this invitation'
+                });
+            }
+
+            if (invitation.status !== 'pending' || invitation.isExpired()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invitation is no longer pending'
+                });
+            }
+
+            await invitation.respond('declined', req.user);
+
+            res.json({
+                success: true,
+                message: 'Invitation declined successfully',
+                data: { invitation }
+            });
+        } catch (error) {
+            console.error('Decline invitation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while declining invitation'
+            });
+        }
+    }
+
+    // Withdraw an invitation or join request (its creator, the captain or an admin)
+    static async cancelInvitation(req, res) {
+        try {
+            const invitation = await TeamInvitation.findById(req.params.invitationId);
+            if (!invitation) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Invitation not found'
+                });
+            }
+
+            const team = await Team.findById(invitation.teamId);
+            const isCreator = invitation.createdBy === String(req.user._id);
+            const isCaptain = team && team.isCaptain(req.user._id);
+            if (!isCreator && !isCaptain && req.user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You cannot cancel this invitation'
+                });
+            }
+
+            if (invitation.status !== 'pending') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invitation is no longer pending'
+                });
+            }
+
+            invitation.status = 'cancelled';
+            await invitation.save();
+
+            res.json({
+                success: true,
+                message: 'Invitation cancelled successfully',
+                data: { invitation }
+            });
+        } catch (error) {
+            console.error('Cancel invitation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while cancelling invitation'
+            });
+        }
+    }
+}
+
+module.exports = TeamController;
@@ -1,42 +1,120 @@
 const Tournament = require('../models/Tournament');
+const TournamentTemplate = require('../models/TournamentTemplate');
 const Competitor = require('../models/Competitor');
 const Match = require('../models/Match');
+const Dispute = require('../models/Dispute');
+const Rating = require('../models/Rating');
+const Team = require('../models/Team');
+const PlayerProfile = require('../models/PlayerProfile');
+const User = require('../models/User');
+const { buildSingleElimination, buildDoubleElimination, buildRoundRobin } = require('../utils/bracketGenerator');
+const { computeSwissStandings, pairSwissRound } = require('../utils/swissPairing');
+const { computeStandings } = require('../utils/standings');
+const { SEEDING_METHODS, applySeeds, seedCompetitors, separateRegions } = require('../utils/seeding');
+const { DEFAULT_SCHEDULING, scheduleMatches, findScheduleConflicts } = require('../utils/scheduler');
+const { getDraftFormat, computeDraftStats } = require('../utils/draft');
+
+const MINUTE = 60 * 1000;
+
+const canManageTournament = (tournament, user) =>
+    user.role === 'admin' || Boolean(tournament.organizerId && tournament.organizerId.equals(user._id));
+
+// Settings a new tournament starts from: a saved template, an existing
+// tournament to clone, or nothing. Returns { error: [status, message] } when
+// the template or tournament isn't available to the user.
+const loadTournamentBase = async ({ templateId, cloneFrom }, user) => {
+    if (templateId) {
+        const template = await TournamentTemplate.findById(templateId);
+        if (!template) return { error: [404, 'Template not found'] };
+        if (!template.canManage(user)) return { error: [403, 'You can only use your own templates'] };
+        return { config: { ...template.config } };
+    }
+
+    if (cloneFrom) {
+        const source = await Tournament.findById(cloneFrom);
+        if (!source) return { error: [404, 'Tournament to clone not found'] };
+        if (!canManageTournament(source, user)) return { error: [403, 'You can only clone your own tournaments'] };
+        return { config: source.toTemplateConfig(), source };
+    }
+
+    return { config: {} };
+};
 
 class TournamentController {
-    // Create new tournament
+    // Create new tournament, optionally from a saved template (templateId) or
+    // as a copy of an existing tournament (cloneFrom) with its dates shifted by
+    // a new startDate or shiftDays. Fields sent in the request win.
     static async createTournament(req, res) {
         try {
             const {
+                templateId,
+                cloneFrom,
+                shiftDays,
                 name,
+                startDate,
+                endDate,
+                registrationDeadline,
                 format,
                 description,
                 gameName,
-                startDate,
-                endDate,
                 maxPlayers,
-                registrationDeadline,
                 prizePool,
+                prizeSplit,
                 entryFee,
                 rules,
                 logo,
-                tags
+                tags,
+                matchFormat,
+                pointsScheme,
+                tiebreakers,
+                checkIn,
+                waitlist,
+                scheduling,
+                mapVeto,
+                resultReporting,
+                disqualification
             } = req.body;
 
+            const { config, source, error } = await loadTournamentBase({ templateId, cloneFrom }, req.user);
+            if (error) {
+                return res.status(error[0]).json({
+                    success: false,
+                    message: error[1]
+                });
+            }
+
+            if (source && !startDate && (shiftDays === undefined || !source.startDate)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'startDate or shiftDays is required to clone a tournament'
+                });
+            }
+
+            const { durationMinutes, registrationLeadMinutes, ...settings } = config;
+            Object.entries({
+                format, description, gameName, maxPlayers, prizePool, prizeSplit, entryFee, rules, logo, tags,
+                matchFormat, pointsScheme, tiebreakers, checkIn, waitlist, scheduling, mapVeto, resultReporting, disqualification
+            })
+                .filter(([, value]) => value !== undefined)
+                .forEach(([field, value]) => { settings[field] = value; });
+
+            const start = startDate
+                ? new Date(startDate)
+                : source && new Date(source.startDate.getTime() + Number(shiftDays) * 24 * 60 * MINUTE);
+            const offsetFromStart = (minutes) => (start && minutes !== undefined ? new Date(start.getTime() + minutes * MINUTE) : undefined);
+
             const tournament = new Tournament({
+                ...settings,
                 name,
-                format,
-                description,
-                gameName,
                 organizerId: req.user._id,
-                startDate: new Date(startDate),
-                endDate: new Date(endDate),
-                maxPlayers,
-                registrationDeadline: new Date(registrationDeadline),
-                prizePool: prizePool || 0,
-                entryFee: entryFee || 0,
-                rules,
-                logo,
-                tags: tags || []
+                startDate: new Date(start),
+                endDate: endDate ? new Date(endDate) : offsetFromStart(durationMinutes),
+                registrationDeadline: registrationDeadline
+                    ? new Date(registrationDeadline)
+                    : offsetFromStart(registrationLeadMinutes === undefined ? undefined : -registrationLeadMinutes),
+                prizePool: settings.prizePool || 0,
+                entryFee: settings.entryFee || 0,
+                tags: settings.tags || []
             });
 
             await tournament.save();
@@ -68,6 +146,86 @@ class TournamentController {
         }
     }
 
+    // Save the tournament's settings as a reusable template
+    static async saveTemplate(req, res) {
+        try {
+            const tournament = req.tournament;
+            const { name = tournament.name } = req.body;
+
+            const template = new TournamentTemplate({
+                name,
+                organizerId: String(req.user._id),
+                sourceTournamentId: tournament._id,
+                config: tournament.toTemplateConfig()
+            });
+            await template.save();
+
+            res.status(201).json({
+                success: true,
+                message: 'Template saved successfully',
+                data: { template }
+            });
+        } catch (error) {
+            console.error('Save template error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while saving template'
+            });
+        }
+    }
+
+    // Get the current organizer's templates (admins see all)
+    static async getTemplates(req, res) {
+        try {
+            const filter = req.user.role === 'admin' ? {} : { organizerId: String(req.user._id) };
+            const templates = await TournamentTemplate.find(filter).sort({ name: 1 });
+
+            res.json({
+                success: true,
+                data: { templates }
+            });
+        } catch (error) {
+            console.error('Get templates error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching templates'
+            });
+        }
+    }
+
+    // Delete a template
+    static async deleteTemplate(req, res) {
+        try {
+            const template = await TournamentTemplate.findById(req.params.templateId);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Template not found'
+                });
+            }
+
+            if (!template.canManage(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You can only delete your own templates'
+                });
+            }
+
+            await template.deleteOne();
+
+            res.json({
+                success: true,
+                message: 'Template deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete template error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while deleting template'
+            });
+        }
+    }
+
     // Get all tournaments with filtering and pagination
     static async getAllTournaments(req, res) {
         try {
@@ -170,6 +328,8 @@ class TournamentController {
             // Remove fields that shouldn't be updated
             delete updateData.organizerId;
             delete updateData.currentPlayers;
+            delete updateData.status;  // only through PUT /:id/status
+            delete updateData.statusHistory;
 
             const tournament = await Tournament.findByIdAndUpdate(
                 id,
@@ -184,6 +344,9 @@ class TournamentController {
                 });
             }
 
+            // A raised maxPlayers frees spots for the waitlist
+            await tournament.refreshWaitlist();
+
             res.json({
                 success: true,
                 message: 'Tournament updated successfully',
@@ -243,7 +406,7 @@ class TournamentController {
     static async registerForTournament(req, res) {
         try {
             const { id } = req.params;
-            const { name, logo, teamMembers = [] } = req.body;
+            const { name, logo, teamMembers = [], teamId } = req.body;
 
             const tournament = await Tournament.findById(id);
             if (!tournament) {
@@ -274,17 +437,66 @@ class TournamentController {
                 });
             }
 
+            // Teams register through their captain
+            let team = null;
+            if (teamId) {
+                team = await Team.findOne({ _id: teamId, isActive: true });
+                if (!team) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Team not found'
+                    });
+                }
+
+                if (!team.isCaptain(req.user._id)) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Only the team captain can register the team'
+                    });
+                }
+
+                if (await Competitor.exists({ tournamentId: id, teamId })) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'This team is already registered for this tournament'
+                    });
+                }
+            }
+
+            // Solo players go by their in-game name unless they pick another
+            const profile = team ? null : await PlayerProfile.findOne({ userId: String(req.user._id) });
+            const ign = profile ? profile.ignFor(tournament.gameName) : null;
+
+            // Join the waitlist once every spot is taken or others are already waiting
+            await tournament.refreshWaitlist();
+            const waitlistLength = await Competitor.countDocuments({ tournamentId: id, status: 'waitlisted' });
+            const isFull = tournament.maxPlayers &&
+                (waitlistLength > 0 || await tournament.countReservedSpots() >= tournament.maxPlayers);
+
             // Create competitor
             const competitor = new Competitor({
-                name: name || req.user.fullName,
+                name: team ? team.name : name || ign || req.user.fullName,
                 logo,
+                logoUrl: team ? team.logoUrl : logo,
+                region: team ? team.region : profile ? profile.region : undefined,
                 tournamentId: id,
                 userId: req.user._id,
-                teamMembers
+                teamId: team ? team._id : undefined,
+                roster: team ? await team.rosterSnapshot(tournament.gameName) : [],
+                teamMembers,
+                status: isFull ? 'waitlisted' : 'active'
             });
 
             await competitor.save();
 
+            if (isFull) {
+                return res.status(201).json({
+                    success: true,
+                    message: 'Tournament is full. You have been added to the waitlist',
+                    data: { competitor, waitlistPosition: await competitor.getWaitlistPosition() }
+                });
+            }
+
             // Update tournament participant count
             await tournament.addTeam(competitor._id);
 
@@ -320,7 +532,7 @@ class TournamentController {
             }
 
             const tournament = await Tournament.findById(id);
-            if (tournament.status !== 'upcoming') {
+            if (!tournament.allowsWithdrawal()) {
                 return res.status(400).json({
                     success: false,
                     message: 'Cannot withdraw from ongoing or completed tournament'
@@ -333,6 +545,9 @@ class TournamentController {
             // Update tournament participant count
             await tournament.removeTeam(competitor._id);
 
+            // Offer the freed spot to the waitlist
+            await tournament.refreshWaitlist();
+
             res.json({
                 success: true,
                 message: 'Successfully withdrew from tournament'
@@ -346,51 +561,225 @@ class TournamentController {
         }
     }
 
-    // Get tournament participants
-    static async getTournamentParticipants(req, res) {
+    // Get the current user's waitlist position
+    static async getWaitlistPosition(req, res) {
         try {
             const { id } = req.params;
 
-            const competitors = await Competitor.findByTournament(id);
+            const tournament = await Tournament.findById(id);
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            const competitor = await Competitor.findOne({ tournamentId: id, userId: req.user._id });
+            if (!competitor) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'You are not registered for this tournament'
+                });
+            }
 
             res.json({
                 success: true,
-                data: { competitors }
+                data: {
+                    status: competitor.status,
+                    waitlistPosition: await competitor.getWaitlistPosition(),
+                    // A lapsed offer is requeued by the next waitlist refresh
+                    spotOfferExpiresAt: competitor.spotOfferExpiresAt > new Date() ? competitor.spotOfferExpiresAt : null
+                }
             });
         } catch (error) {
-            console.error('Get participants error:', error);
+            console.error('Get waitlist position error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Server error while fetching participants'
+                message: 'Server error while fetching waitlist position'
             });
         }
     }
 
-    // Get tournaments by organizer
-    static async getTournamentsByOrganizer(req, res) {
+    // Claim a spot offered from the waitlist
+    static async claimWaitlistSpot(req, res) {
         try {
-            const { organizerId } = req.params;
+            const { id } = req.params;
 
-            const tournaments = await Tournament.findByOrganizer(organizerId);
+            const tournament = await Tournament.findById(id);
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            await tournament.refreshWaitlist();
+
+            const competitor = await Competitor.findOne({
+                tournamentId: id,
+                userId: req.user._id,
+                status: 'waitlisted'
+            });
+
+            if (!competitor || !competitor.spotOfferExpiresAt) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You have no spot offer to claim'
+                });
+            }
+
+            await competitor.claimSpot();
+            await tournament.addTeam(competitor._id);
 
             res.json({
                 success: true,
-                data: { tournaments }
+                message: 'Spot claimed successfully',
+                data: { competitor }
             });
         } catch (error) {
-            console.error('Get organizer tournaments error:', error);
+            console.error('Claim waitlist spot error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Server error while fetching organizer tournaments'
+                message: 'Server error while claiming waitlist spot'
             });
         }
     }
 
-    // Update tournament status
-    static async updateTournamentStatus(req, res) {
+    // Check in for a tournament during its check-in window
+    static async checkIn(req, res) {
+        try {
+            const { id } = req.params;
+
+            const tournament = await Tournament.findById(id);
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            if (!tournament.isCheckInOpen()) {
+                const { opensAt, closesAt } = tournament.checkIn.enabled
+                    ? tournament.getCheckInWindow()
+                    : {};
+                return res.status(400).json({
+                    success: false,
+                    message: 'Check-in is not open for this tournament',
+                    data: { opensAt, closesAt }
+                });
+            }
+
+            const competitor = await Competitor.findOne({
+                tournamentId: id,
+                userId: req.user._id,
+                status: { $ne: 'disqualified' }
+            });
+
+            if (!competitor) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'You are not registered for this tournament'
+                });
+            }
+
+            competitor.checkedIn = true;
+            competitor.checkedInAt = new Date();
+            await competitor.save();
+
+            res.json({
+                success: true,
+                message: 'Checked in successfully',
+                data: { competitor }
+            });
+        } catch (error) {
+            console.error('Tournament check-in error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error during tournament check-in'
+            });
+        }
+    }
+
+    // Close check-in: handle no-shows and promote waitlisted competitors
+    static async closeCheckIn(req, res) {
+        try {
+            const { id } = req.params;
+
+            const tournament = await Tournament.findById(id);
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            if (!tournament.checkIn.enabled || tournament.checkIn.finalizedAt) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Check-in is not enabled or has already been closed'
+                });
+            }
+
+            // Closing any earlier would treat every competitor as a no-show
+            if (tournament.status !== 'check_in' || new Date() < tournament.getCheckInWindow().opensAt) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Check-in can only be closed once it has opened'
+                });
+            }
+
+            const { noShows, promoted } = await tournament.finalizeCheckIn();
+
+            res.json({
+                success: true,
+                message: 'Check-in closed successfully',
+                data: {
+                    noShowAction: tournament.checkIn.noShowAction,
+                    noShows: noShows.map(competitor => competitor._id),
+                    promoted: promoted.map(competitor => competitor._id)
+                }
+            });
+        } catch (error) {
+            console.error('Close check-in error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while closing check-in'
+            });
+        }
+    }
+
+    // Get tournament participants
+    static async getTournamentParticipants(req, res) {
+        try {
+            const { id } = req.params;
+
+            const competitors = await Competitor.findByTournament(id);
+
+            res.json({
+                success: true,
+                data: { competitors }
+            });
+        } catch (error) {
+            console.error('Get participants error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching participants'
+            });
+        }
+    }
+
+    // Generate bracket matches from registered competitors
+    static async generateBracket(req, res) {
         try {
             const { id } = req.params;
-            const { status } = req.body;
+            const { regenerate = false, bestOf, grandFinalReset = true, legs = 1 } = req.body;
+
+            if (bestOf !== undefined && !Match.isOddBestOf(Number(bestOf))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'bestOf must be an odd number'
+                });
+            }
 
             const tournament = await Tournament.findById(id);
             if (!tournament) {
@@ -400,7 +789,817 @@ class TournamentController {
                 });
             }
 
-            await tournament.updateStatus(status);
+            if (!tournament.canGenerateBracket()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Bracket can only be generated after registration closes and before the tournament starts'
+                });
+            }
+
+            if (tournament.checkIn.enabled && !tournament.checkIn.finalizedAt) {
+                if (!tournament.needsCheckInFinalization()) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Check-in must close before the bracket is generated'
+                    });
+                }
+                await tournament.finalizeCheckIn();
+            }
+
+            const existingMatches = await Match.find({ tournamentId: id });
+            if (existingMatches.length > 0) {
+                if (!regenerate) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Bracket already generated. Set regenerate to true to rebuild it'
+                    });
+                }
+
+                // Byes are completed when the bracket is generated, so only matches
+                // with two competitors show that play has begun
+                const started = existingMatches
+                    .filter(match => match.teamAId && match.teamBId)
+                    .some(match => match.status !== 'scheduled' || match.winnerId);
+                if (started) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Cannot regenerate bracket after a match has started'
+                    });
+                }
+            }
+
+            const registered = await Competitor.findActive(id);
+            const competitors = applySeeds(registered, tournament.seeds);
+            if (competitors.length < 2) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'At least 2 competitors are required to generate a bracket'
+                });
+            }
+
+            const competitorIds = competitors.map(competitor => competitor._id);
+            const options = { bestOf: parseInt(bestOf) || tournament.matchFormat.bestOf };
+            let matches;
+
+            switch (tournament.format) {
+                case 'single-elimination':
+                case 'single':
+                    matches = buildSingleElimination(tournament._id, competitorIds, options);
+                    break;
+                case 'double-elimination':
+                case 'double':
+                    matches = buildDoubleElimination(tournament._id, competitorIds, { ...options, grandFinalReset });
+                    break;
+                case 'round-robin':
+                case 'round':
+                case 'league':
+                    if (![1, 2].includes(parseInt(legs))) {
+                        return res.status(400).json({
+                            success: false,
+                            message: 'Legs must be 1 or 2'
+                        });
+                    }
+                    matches = buildRoundRobin(tournament._id, competitorIds, {
+                        ...options,
+                        legs: parseInt(legs),
+                        startDate: tournament.startDate,
+                        endDate: tournament.endDate
+                    });
+                    break;
+                case 'swiss':
+                    // Only round 1 is paired up front; later rounds follow the results
+                    matches = pairSwissRound(tournament._id, computeSwissStandings(competitorIds, []), [], {
+                        ...options,
+                        round: 1
+                    });
+                    break;
+                default:
+                    return res.status(400).json({
+                        success: false,
+                        message: `Bracket generation is not supported for format "${tournament.format}"`
+                    });
+            }
+
+            // Without an explicit bestOf, each round follows the tournament's match format
+            if (bestOf === undefined) {
+                matches.forEach(match => { match.bestOf = tournament.bestOfFor(match); });
+            }
+
+            if (existingMatches.length > 0) {
+                await Match.deleteMany({ tournamentId: id });
+            }
+
+            const createdMatches = await Match.insertMany(matches);
+
+            res.status(201).json({
+                success: true,
+                message: 'Bracket generated successfully',
+                data: { matches: createdMatches }
+            });
+        } catch (error) {
+            console.error('Generate bracket error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while generating bracket'
+            });
+        }
+    }
+
+    // Get tournament bracket
+    static async getBracket(req, res) {
+        try {
+            const { id } = req.params;
+
+            const matches = await Match.find({ tournamentId: id })
+                .populate('teamAId', 'name logoUrl')
+                .populate('teamBId', 'name logoUrl')
+                .populate('winnerId', 'name logoUrl')
+                .sort({ matchNumber: 1 });
+
+            res.json({
+                success: true,
+                data: { matches }
+            });
+        } catch (error) {
+            console.error('Get bracket error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching bracket'
+            });
+        }
+    }
+
+    // Pair the next Swiss round from current results
+    static async pairNextSwissRound(req, res) {
+        try {
+            const { id } = req.params;
+            const { bestOf } = req.body;
+
+            if (bestOf !== undefined && !Match.isOddBestOf(Number(bestOf))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'bestOf must be an odd number'
+                });
+            }
+
+            const tournament = await Tournament.findById(id);
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            if (tournament.format !== 'swiss') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Tournament is not a Swiss tournament'
+                });
+            }
+
+            if (tournament.status !== 'ongoing') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Swiss rounds can only be paired while the tournament is ongoing'
+                });
+            }
+
+            const matches = await Match.find({ tournamentId: id });
+            const unfinished = matches.some(match => !['completed', 'cancelled'].includes(match.status));
+            if (unfinished) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'All matches of the current round must be completed first'
+                });
+            }
+
+            const registered = await Competitor.findActive(id);
+            const competitors = applySeeds(registered, tournament.seeds);
+            if (competitors.length < 2) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'At least 2 competitors are required to pair a round'
+                });
+            }
+
+            const round = matches.reduce((max, match) => Math.max(max, match.round || 0), 0) + 1;
+            const standings = computeSwissStandings(competitors.map(competitor => competitor._id), matches);
+            const pairings = pairSwissRound(tournament._id, standings, matches, {
+                round,
+                bestOf: parseInt(bestOf) || tournament.bestOfFor({ bracket: 'swiss', round })
+            });
+
+            const createdMatches = await Match.insertMany(pairings);
+
+            res.status(201).json({
+                success: true,
+                message: `Swiss round ${round} paired successfully`,
+                data: { round, matches: createdMatches }
+            });
+        } catch (error) {
+            console.error('Pair Swiss round error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while pairing Swiss round'
+            });
+        }
+    }
+
+    // Get Swiss standings with Buchholz and opponent win percentage
+    static async getSwissStandings(req, res) {
+        try {
+            const { id } = req.params;
+
+            const [tournament, registered, matches] = await Promise.all([
+                Tournament.findById(id),
+                Competitor.findActive(id),
+                Match.find({ tournamentId: id })
+            ]);
+
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            const competitors = applySeeds(registered, tournament.seeds);
+            const competitorsById = new Map(competitors.map(competitor => [String(competitor._id), competitor]));
+            const standings = computeSwissStandings(competitors.map(competitor => competitor._id), matches)
+                .map(({ opponents, ...record }) => {
+                    const competitor = competitorsById.get(String(record.competitorId));
+                    return { ...record, name: competitor.name, logoUrl: competitor.logoUrl };
+                });
+
+            res.json({
+                success: true,
+                data: { standings }
+            });
+        } catch (error) {
+            console.error('Get Swiss standings error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching Swiss standings'
+            });
+        }
+    }
+
+    // Get the tournament's seed list
+    static async getSeeds(req, res) {
+        try {
+            const { id } = req.params;
+
+            const tournament = await Tournament.findById(id);
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            const registered = await Competitor.findActive(id);
+            const seeds = applySeeds(registered, tournament.seeds).map((competitor, index) => ({
+                seed: index + 1,
+                competitorId: competitor._id,
+                name: competitor.name,
+                logoUrl: competitor.logoUrl,
+                region: competitor.region
+            }));
+
+            res.json({
+                success: true,
+                data: { seedingMethod: tournament.seedingMethod, seeds }
+            });
+        } catch (error) {
+            console.error('Get seeds error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching seeds'
+            });
+        }
+    }
+
+    // Seed competitors by rating, randomly or by registration order
+    static async generateSeeds(req, res) {
+        try {
+            const { id } = req.params;
+            const { method = 'rating', separateRegions: keepRegionsApart = false } = req.body;
+
+            if (!SEEDING_METHODS.includes(method)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Seeding method must be one of: ${SEEDING_METHODS.join(', ')}`
+                });
+            }
+
+            const tournament = await Tournament.findById(id);
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            const competitors = await Competitor.findActive(id);
+            const ratings = method === 'rating'
+                ? await Rating.find({ gameName: tournament.gameName || '' })
+                : [];
+
+            let seeded = seedCompetitors(competitors, method, ratings);
+            if (keepRegionsApart) {
+                seeded = separateRegions(seeded);
+            }
+
+            tournament.seeds = seeded.map(competitor => competitor._id);
+            tournament.seedingMethod = method;
+            await tournament.save();
+
+            res.json({
+                success: true,
+                message: 'Seeds generated successfully',
+                data: { seedingMethod: method, seeds: tournament.seeds }
+            });
+        } catch (error) {
+            console.error('Generate seeds error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while generating seeds'
+            });
+        }
+    }
+
+    // Manually reorder seeds
+    static async updateSeeds(req, res) {
+        try {
+            const { id } = req.params;
+            const { seeds } = req.body;
+
+            if (!Array.isArray(seeds) || seeds.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Seeds must be a non-empty list of competitor IDs'
+                });
+            }
+
+            const tournament = await Tournament.findById(id);
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            const competitors = await Competitor.findActive(id);
+            const registeredIds = new Set(competitors.map(competitor => String(competitor._id)));
+            const uniqueSeeds = new Set(seeds.map(String));
+
+            if (uniqueSeeds.size !== seeds.length || seeds.some(seed => !registeredIds.has(String(seed)))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Seeds must list each registered competitor at most once'
+                });
+            }
+
+            tournament.seeds = seeds;
+            tournament.seedingMethod = 'manual';
+            await tournament.save();
+
+            res.json({
+                success: true,
+                message: 'Seeds updated successfully',
+                data: { seedingMethod: tournament.seedingMethod, seeds: tournament.seeds }
+            });
+        } catch (error) {
+            console.error('Update seeds error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while updating seeds'
+            });
+        }
+    }
+
+    // Get standings derived from completed matches
+    static async getStandings(req, res) {
+        try {
+            const { id } = req.params;
+
+            const tournament = await Tournament.findById(id);
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            const [competitors, matches] = await Promise.all([
+                Competitor.find({ tournamentId: id, status: { $ne: 'waitlisted' } }).sort({ createdAt: 1 }),
+                Match.find({ tournamentId: id, status: 'completed' })
+            ]);
+
+            const standings = computeStandings(tournament._id, competitors, matches, {
+                pointsScheme: tournament.pointsScheme,
+                tiebreakers: tournament.tiebreakers
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    pointsScheme: tournament.pointsScheme,
+                    tiebreakers: tournament.tiebreakers,
+                    standings
+                }
+            });
+        } catch (error) {
+            console.error('Get standings error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching standings'
+            });
+        }
+    }
+
+    // Assign times and stations to unscheduled matches. Body values override the
+    // tournament's scheduling settings; reschedule also clears times of matches
+    // that haven't started.
+    static async scheduleMatches(req, res) {
+        try {
+            const { id } = req.params;
+            const { reschedule = false, startDate } = req.body;
+
+            const tournament = await Tournament.findById(id);
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            const matches = await Match.find({ tournamentId: id }).sort({ matchNumber: 1 });
+            if (matches.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Generate the bracket before scheduling matches'
+                });
+            }
+
+            if (reschedule) {
+                matches
+                    .filter(match => match.status === 'scheduled' && !match.hasStarted())
+                    .forEach(match => {
+                        match.scheduledAt = undefined;
+                        match.station = undefined;
+                    });
+            }
+
+            // Only the scheduling fields may be overridden from the body
+            const settings = {
+                ...tournament.toObject().scheduling,
+                startDate: startDate || new Date(Math.max(Date.now(), new Date(tournament.startDate || Date.now())))
+            };
+            Object.keys(DEFAULT_SCHEDULING)
+                .filter(field => req.body[field] !== undefined)
+                .forEach(field => { settings[field] = req.body[field]; });
+
+            let assignments;
+            try {
+                assignments = scheduleMatches(matches, settings);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            const byId = new Map(matches.map(match => [String(match._id), match]));
+            assignments.forEach(({ matchId, scheduledAt, station }) => {
+                const match = byId.get(String(matchId));
+                match.scheduledAt = scheduledAt;
+                match.station = station;
+            });
+            await Promise.all(matches.filter(match => match.isModified()).map(match => match.save()));
+
+            const lastEnd = assignments.reduce((latest, { endsAt }) => (endsAt > latest ? endsAt : latest), null);
+
+            res.json({
+                success: true,
+                message: `${assignments.length} matches scheduled`,
+                data: {
+                    schedule: assignments,
+                    endsAt: lastEnd,
+                    overrunsEndDate: Boolean(lastEnd && tournament.endDate && lastEnd > tournament.endDate)
+                }
+            });
+        } catch (error) {
+            console.error('Schedule matches error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while scheduling matches'
+            });
+        }
+    }
+
+    // Matches whose captain reports need the organizer: mismatches, missing
+    // confirmations and missing reports. Deadlines are checked first.
+    static async getEscalatedMatches(req, res) {
+        try {
+            const { id } = req.params;
+
+            const tournament = await Tournament.findById(id);
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            const open = await Match.find({
+                tournamentId: id,
+                status: { $nin: ['completed', 'cancelled'] },
+                reportStatus: { $in: ['none', 'pending'] }
+            });
+            const settings = tournament.getReportingSettings();
+            await Promise.all(open
+                .filter(match => match.checkReportDeadline(settings))
+                .map(match => match.save()));
+
+            const matches = await Match.find({ tournamentId: id, reportStatus: 'escalated' })
+                .populate('teamAId', 'name logoUrl')
+                .populate('teamBId', 'name logoUrl')
+                .sort({ 'escalation.escalatedAt': 1 });
+
+            res.json({
+                success: true,
+                data: { matches }
+            });
+        } catch (error) {
+            console.error('Get escalated matches error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching escalated matches'
+            });
+        }
+    }
+
+    // Disqualify a competitor from the whole tournament
+    static async disqualifyCompetitor(req, res) {
+        try {
+            const { competitorId } = req.params;
+            const { reason = '' } = req.body;
+            const tournament = req.tournament;
+
+            const competitor = await Competitor.findOne({ _id: competitorId, tournamentId: tournament._id });
+            if (!competitor) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Competitor not found in this tournament'
+                });
+            }
+
+            if (competitor.status !== 'active') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Only active competitors can be disqualified'
+                });
+            }
+
+            const matches = await tournament.disqualify(competitor, reason, req.user);
+
+            res.json({
+                success: true,
+                message: 'Competitor disqualified successfully',
+                data: { competitor, matches }
+            });
+        } catch (error) {
+            console.error('Disqualify competitor error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while disqualifying competitor'
+            });
+        }
+    }
+
+    // Let a referee officiate every match of the tournament
+    static async addReferee(req, res) {
+        try {
+            const { userId } = req.body;
+            const tournament = req.tournament;
+
+            const referee = userId ? await User.findOne({ _id: userId, role: 'referee' }) : null;
+            if (!referee) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Referee must be a user with the referee role'
+                });
+            }
+
+            if (!tournament.referees.includes(String(referee._id))) {
+                tournament.referees.push(String(referee._id));
+                await tournament.save();
+            }
+
+            res.json({
+                success: true,
+                message: 'Referee added successfully',
+                data: { referees: tournament.referees }
+            });
+        } catch (error) {
+            console.error('Add referee error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while adding referee'
+            });
+        }
+    }
+
+    // Remove a tournament-wide referee; per-match assignments are kept
+    static async removeReferee(req, res) {
+        try {
+            const { userId } = req.params;
+            const tournament = req.tournament;
+
+            tournament.referees = tournament.referees.filter(refereeId => refereeId !== userId);
+            await tournament.save();
+
+            res.json({
+                success: true,
+                message: 'Referee removed successfully',
+                data: { referees: tournament.referees }
+            });
+        } catch (error) {
+            console.error('Remove referee error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while removing referee'
+            });
+        }
+    }
+
+    // Disputes raised in a tournament, open ones first
+    static async getDisputes(req, res) {
+        try {
+            const { id } = req.params;
+            const { status } = req.query;
+
+            const filter = { tournamentId: id };
+            if (status) filter.status = status;
+
+            const disputes = await Dispute.find(filter)
+                .populate('matchId', 'round matchNumber bracket teamAId teamBId status')
+                .populate('openedBy', 'fullName avatarUrl')
+                .sort({ status: 1, createdAt: 1 });
+
+            res.json({
+                success: true,
+                data: { disputes }
+            });
+        } catch (error) {
+            console.error('Get disputes error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching disputes'
+            });
+        }
+    }
+
+    // Champion pick, ban and win rates across the tournament's drafts
+    static async getDraftStats(req, res) {
+        try {
+            const { id } = req.params;
+
+            const tournament = await Tournament.findById(id);
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            if (!getDraftFormat(tournament.gameName)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Drafts are not tracked for "${tournament.gameName}"`
+                });
+            }
+
+            const matches = await Match.find({ tournamentId: id, 'games.0': { $exists: true } })
+                .select('teamAId teamBId games');
+
+            res.json({
+                success: true,
+                data: computeDraftStats(matches)
+            });
+        } catch (error) {
+            console.error('Get draft stats error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching draft stats'
+            });
+        }
+    }
+
+    // Report double bookings, taken stations, out-of-range times and matches
+    // scheduled before their feeders
+    static async getScheduleConflicts(req, res) {
+        try {
+            const { id } = req.params;
+
+            const tournament = await Tournament.findById(id);
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            const matches = await Match.find({ tournamentId: id }).sort({ scheduledAt: 1, matchNumber: 1 });
+            const conflicts = findScheduleConflicts(matches, tournament);
+
+            res.json({
+                success: true,
+                data: {
+                    conflicts,
+                    errors: conflicts.filter(conflict => conflict.severity === 'error').length,
+                    warnings: conflicts.filter(conflict => conflict.severity === 'warning').length
+                }
+            });
+        } catch (error) {
+            console.error('Get schedule conflicts error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while checking schedule conflicts'
+            });
+        }
+    }
+
+    // Get tournaments by organizer
+    static async getTournamentsByOrganizer(req, res) {
+        try {
+            const { organizerId } = req.params;
+
+            const tournaments = await Tournament.findByOrganizer(organizerId);
+
+            res.json({
+                success: true,
+                data: { tournaments }
+            });
+        } catch (error) {
+            console.error('Get organizer tournaments error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while fetching organizer tournaments'
+            });
+        }
+    }
+
+    // Update tournament status
+    static async updateTournamentStatus(req, res) {
+        try {
+            const { id } = req.params;
+            const { status, note } = req.body;
+
+            const tournament = await Tournament.findById(id);
+            if (!tournament) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tournament not found'
+                });
+            }
+
+            if (!tournament.canTransitionTo(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Cannot change tournament status from ${tournament.status} to ${status}`
+                });
+            }
+
+            if (status === 'ongoing') {
+                const matchCount = await Match.countDocuments({ tournamentId: id });
+                if (matchCount === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Generate the bracket before starting the tournament'
+                    });
+                }
+            }
+
+            if (status === 'ongoing' && tournament.checkIn.enabled && !tournament.checkIn.finalizedAt) {
+                await tournament.finalizeCheckIn();
+            }
+
+            if (status === 'ongoing') {
+                await tournament.lockRosters();
+            }
+
+            await tournament.updateStatus(status, req.user._id, note);
+            await tournament.refreshWaitlist();
+
+            // A cancelled tournament won't play its remaining matches
+            if (status === 'cancelled') {
+                await Match.updateMany(
+                    { tournamentId: id, status: { $in: ['scheduled', 'postponed'] } },
+                    { status: 'cancelled' }
+                );
+            }
 
             res.json({
                 success: true,
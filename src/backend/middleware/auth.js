@@ -92,7 +92,7 @@ const authorize = (...roles) => {
 const checkTournamentOwnership = async (req, res, next) => {
     try {
         const Tournament = require('../models/Tournament');
-        const tournamentId = req.params.tournamentId || req.body.tournamentId;
+        const tournamentId = req.params.tournamentId || req.params.id || req.body.tournamentId;
         
         if (!tournamentId) {
             return res.status(400).json({
@@ -128,6 +128,73 @@ const checkTournamentOwnership = async (req, res, next) => {
     }
 };
 
+// Check if user is captain of the team
+const checkTeamCaptain = async (req, res, next) => {
+    try {
+        const Team = require('../models/Team');
+        const team = await Team.findOne({ _id: req.params.id, isActive: true });
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found.'
+            });
+        }
+        
+        // Check if user is captain of the team or admin
+        if (!team.isCaptain(req.user._id) && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You are not the captain of this team.'
+            });
+        }
+        
+        req.team = team;
+        next();
+    } catch (error) {
+        console.error('Team captain check error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during authorization check.'
+        });
+    }
+};
+
+// Organizers and admins manage any match; referees only the matches they are
+// assigned to, directly or through the tournament
+const checkMatchOfficial = async (req, res, next) => {
+    try {
+        if (['organizer', 'admin'].includes(req.user.role)) {
+            return next();
+        }
+
+        const Match = require('../models/Match');
+        const Tournament = require('../models/Tournament');
+        const match = await Match.findById(req.params.id);
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found.'
+            });
+        }
+
+        const tournament = await Tournament.findById(match.tournamentId);
+        if (req.user.role !== 'referee' || !match.isRefereedBy(req.user._id, tournament)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You are not a referee of this match.'
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Match official check error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during authorization check.'
+        });
+    }
+};
+
 // Optional authentication (user can be logged in or not)
 const optionalAuth = async (req, res, next) => {
     try {
@@ -162,5 +229,7 @@ module.exports = {
     authenticateToken,
     authorize,
     checkTournamentOwnership,
+    checkTeamCaptain,
+    checkMatchOfficial,
     optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,52 @@
+const Tournament = require('../models/Tournament');
+const Match = require('../models/Match');
+
+const readOnlyResponse = (res) => res.status(403).json({
+    success: false,
+    message: 'This tournament is archived and can no longer be changed.'
+});
+
+// Reject changes to an archived tournament (tournament ID from params or body)
+const requireWritableTournament = async (req, res, next) => {
+    try {
+        const tournamentId = req.params.tournamentId || req.params.id || req.body.tournamentId;
+        const tournament = tournamentId ? await Tournament.findById(tournamentId) : null;
+
+        if (tournament && tournament.isReadOnly()) {
+            return readOnlyResponse(res);
+        }
+
+        next();
+    } catch (error) {
+        console.error('Tournament status check error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during tournament status check.'
+        });
+    }
+};
+
+// Reject changes to a match whose tournament is archived
+const requireWritableMatch = async (req, res, next) => {
+    try {
+        const match = await Match.findById(req.params.id);
+        const tournament = match ? await Tournament.findById(match.tournamentId) : null;
+
+        if (tournament && tournament.isReadOnly()) {
+            return readOnlyResponse(res);
+        }
+
+        next();
+    } catch (error) {
+        console.error('Match tournament status check error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during tournament status check.'
+        });
+    }
+};
+
+module.exports = {
+    requireWritableTournament,
+    requireWritableMatch
+};
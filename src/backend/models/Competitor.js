@@ -4,7 +4,74 @@ const competitorSchema = new mongoose.Schema({
     _id: { type: mongoose.Schema.Types.ObjectId, default: () => new mongoose.Types.ObjectId() },
     name: { type: String, required: true },
     logoUrl: { type: String },
+    region: { type: String },
     tournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament', required: true },
+    userId: { type: String, ref: 'User' },  // the user who registered this competitor
+    teamId: { type: String, ref: 'Team' },
+    roster: [{  // snapshot of the team roster, locked when the tournament starts
+        _id: false,
+        userId: { type: String, ref: 'User' },
+        ign: { type: String },
+        role: { type: String },
+        position: { type: String }
+    }],
+    rosterLockedAt: { type: Date, default: null },
+    status: { type: String, enum: ['active', 'waitlisted', 'disqualified'], default: 'active' },
+    disqualifiedAt: { type: Date },
+    disqualificationReason: { type: String },
+    checkedIn: { type: Boolean, default: false },
+    checkedInAt: { type: Date },
+    spotOfferExpiresAt: { type: Date, default: null },  // waitlisted competitor offered a freed spot until then
+    waitlistedAt: { type: Date, default: Date.now },  // place in the waitlist queue, reset when an offer lapses
+    penalties: [{  // standings points taken away by staff, e.g. after a dispute
+        _id: false,
+        points: { type: Number, required: true },
+        reason: { type: String },
+        matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match' },
+        disputeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Dispute' },
+        issuedBy: { type: String, ref: 'User' },
+        issuedAt: { type: Date, default: Date.now }
+    }],
+    wins: { type: Number, default: 0 },
+    losses: { type: Number, default: 0 },
 }, { timestamps: true });
 
+competitorSchema.statics.findByTournament = function (tournamentId) {
+    return this.find({ tournamentId }).sort({ createdAt: 1 });
+};
+
+// Competitors that take part in brackets and seeding (seeded data may lack a status)
+competitorSchema.statics.findActive = function (tournamentId) {
+    return this.find({ tournamentId, status: { $nin: ['waitlisted', 'disqualified'] } }).sort({ createdAt: 1 });
+};
+
+// 1-based position among waitlisted competitors, in queue order
+competitorSchema.methods.getWaitlistPosition = async function () {
+    if (this.status !== 'waitlisted') return null;
+
+    const ahead = await this.constructor.countDocuments({
+        tournamentId: this.tournamentId,
+        status: 'waitlisted',
+        waitlistedAt: { $lt: this.waitlistedAt }
+    });
+    return ahead + 1;
+};
+
+// Move a waitlisted competitor into the field
+competitorSchema.methods.claimSpot = function () {
+    this.status = 'active';
+    this.spotOfferExpiresAt = null;
+    return this.save();
+};
+
+// Pass delta = -1 to undo a previously counted result
+competitorSchema.methods.updateStats = function (won, delta = 1) {
+    if (won) {
+        this.wins += delta;
+    } else {
+        this.losses += delta;
+    }
+    return this.save();
+};
+
 module.exports = mongoose.model('Competitor', competitorSchema);
\ No newline at end of file
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const disputeMessageSchema = new mongoose.Schema({
+    authorId: { type: String, ref: 'User', required: true },
+    body: { type: String, required: true, trim: true },
+    evidenceUrls: [{ type: String, trim: true }],
+    isStaff: { type: Boolean, default: false },  // posted by the organizer or an admin
+    createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A competitor's claim against a match, discussed with tournament staff until resolved
+const disputeSchema = new mongoose.Schema({
+    matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', required: true },
+    tournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament', required: true },
+    openedBy: { type: String, ref: 'User', required: true },
+    side: { type: String, enum: ['A', 'B', null], default: null },  // null when opened by staff
+    reason: { type: String, enum: ['wrong-score', 'cheating', 'no-show', 'other'], required: true },
+    description: { type: String, required: true, trim: true },
+    evidenceUrls: [{ type: String, trim: true }],
+    messages: { type: [disputeMessageSchema], default: [] },
+    status: { type: String, enum: ['open', 'resolved'], default: 'open' },
+    resolution: {
+        action: { type: String, enum: ['override', 'replay', 'penalty', 'dismiss', null], default: null },
+        notes: { type: String, trim: true },
+        resolvedBy: { type: String, ref: 'User' },
+        resolvedAt: { type: Date }
+    }
+}, { timestamps: true });
+
+disputeSchema.index({ matchId: 1, status: 1 });
+disputeSchema.index({ tournamentId: 1, status: 1 });
+
+disputeSchema.statics.hasOpen = async function (matchId) {
+    return Boolean(await this.exists({ matchId, status: 'open' }));
+};
+
+disputeSchema.methods.addMessage = function (user, body, evidenceUrls = [], isStaff = false) {
+    this.messages.push({ authorId: String(user._id), body, evidenceUrls, isStaff });
+    return this.save();
+};
+
+disputeSchema.methods.resolve = function (action, notes, user) {
+    this.status = 'resolved';
+    this.resolution = { action, notes, resolvedBy: String(user._id), resolvedAt: new Date() };
+    return this.save();
+};
+
+module.exports = mongoose.model('Dispute', disputeSchema);
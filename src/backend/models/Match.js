@@ -1,13 +1,438 @@
 const mongoose = require('mongoose');
 
+// One player's box score line; `stats` follows the game's definition in utils/gameStats
+const playerStatsSchema = new mongoose.Schema({
+    competitorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competitor', required: true },
+    userId: { type: String, ref: 'User' },
+    ign: { type: String },
+    stats: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { _id: false });
+
+// One ban or pick of a MOBA draft, in draft order; see utils/draft
+const draftEntrySchema = new mongoose.Schema({
+    type: { type: String, enum: ['ban', 'pick'], required: true },
+    side: { type: String, enum: ['blue', 'red'], required: true },
+    champion: { type: String, default: null },  // null for a missed ban
+    userId: { type: String, ref: 'User' },  // player who took the pick
+    ign: { type: String }
+}, { _id: false });
+
+const gameSchema = new mongoose.Schema({
+    gameNumber: { type: Number, required: true },
+    teamAScore: { type: Number, default: 0 },  // in-game score, e.g. rounds or kills
+    teamBScore: { type: Number, default: 0 },
+    winner: { type: mongoose.Schema.Types.ObjectId, ref: 'Competitor', required: true },
+    duration: { type: Number, default: 0 },  // seconds
+    notes: { type: String, default: '' },
+    playedAt: { type: Date, default: Date.now },
+    stats: { type: mongoose.Schema.Types.Mixed },  // map, sides... per the game definition
+    teamStats: {  // objectives per side
+        A: { type: mongoose.Schema.Types.Mixed },
+        B: { type: mongoose.Schema.Types.Mixed }
+    },
+    playerStats: { type: [playerStatsSchema], default: [] },
+    draft: { type: [draftEntrySchema], default: [] }
+}, { _id: false });
+
+const vetoStepSchema = new mongoose.Schema({
+    action: { type: String, enum: ['ban', 'pick', 'side', 'decider'], required: true },
+    team: { type: String, enum: ['A', 'B', null], default: null },
+    map: { type: String },
+    side: { type: String, enum: ['ct', 't', null] },
+    auto: { type: Boolean, default: false },  // played by the timeout, not a captain
+    at: { type: Date }
+}, { _id: false });
+
+// Score submitted by one side's captain
+const resultReportSchema = new mongoose.Schema({
+    side: { type: String, enum: ['A', 'B'], required: true },
+    reportedBy: { type: String, ref: 'User', required: true },
+    scoreA: { type: Number, required: true },
+    scoreB: { type: Number, required: true },
+    evidenceUrls: [{ type: String, trim: true }],  // screenshots of the scoreboard
+    reportedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Staff decision on the match, e.g. a dispute ruling
+const decisionSchema = new mongoose.Schema({
+    action: { type: String, required: true },  // dispute-opened│override│replay│penalty│dismiss
+    decidedBy: { type: String, ref: 'User', required: true },
+    disputeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Dispute', default: null },
+    notes: { type: String, default: '' },
+    details: { type: mongoose.Schema.Types.Mixed },
+    decidedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Something a referee saw during the match
+const incidentSchema = new mongoose.Schema({
+    type: { type: String, enum: ['technical', 'connection', 'conduct', 'cheating', 'other'], required: true },
+    side: { type: String, enum: ['A', 'B', null], default: null },  // null when it concerns neither team
+    gameNumber: { type: Number },
+    description: { type: String, required: true, trim: true },
+    evidenceUrls: [{ type: String, trim: true }],
+    reportedBy: { type: String, ref: 'User', required: true },
+    reportedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Brackets where every match must produce a winner
+const ELIMINATION_BRACKETS = ['winners', 'losers', 'grand-final'];
+
+// An even series can end level and never be decided
+const isOddBestOf = (value) => Number.isInteger(value) && value >= 1 && value % 2 === 1;
+
 const matchSchema = new mongoose.Schema({
     _id: { type: mongoose.Schema.Types.ObjectId, default: () => new mongoose.Types.ObjectId() },
     tournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament', required: true },
-    teamAId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competitor', required: true },
-    teamBId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competitor', required: true },
+    teamAId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competitor', default: null },  // null until the feeder match is decided
+    teamBId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competitor', default: null },
     scheduledAt: { type: Date },
+    station: { type: Number },  // 1-based stage/stream the match is played on
+    round: { type: Number, default: 1 },
+    bracket: { type: String, default: 'winners' }, // winners│losers│grand-final│round-robin
+    matchNumber: { type: Number },
+    bestOf: { type: Number, default: 1, validate: [isOddBestOf, 'bestOf must be an odd number'] },
+    refereeId: { type: String, ref: 'User', default: null },
+    status: { type: String, default: 'scheduled' }, // scheduled│ongoing│completed│cancelled│postponed
+    winnerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competitor', default: null },
+    outcome: { type: String, enum: ['normal', 'forfeit', 'double-forfeit', 'walkover', 'voided'], default: 'normal' },
+    forfeitedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Competitor' }],
+    vacantSlot: { type: String, enum: ['A', 'B', null], default: null },  // never filled (its feeder produced nobody); the other side gets a walkover
+    nextMatchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', default: null },  // where the winner goes
+    nextMatchSlot: { type: String, enum: ['A', 'B', null], default: null },
+    loserNextMatchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', default: null },  // double elimination: where the loser drops to
+    loserNextMatchSlot: { type: String, enum: ['A', 'B', null], default: null },
+    bracketReset: { type: Boolean, default: false },  // second grand final, only played if the losers bracket champion wins the first
     result: { type: String, default: '' },
     score: { type: String, default: '' },
+    scoreA: { type: Number },
+    scoreB: { type: Number },
+    games: { type: [gameSchema], default: [] },  // individual games of a best-of series
+    veto: {  // CS2 map veto, see utils/mapVeto
+        status: { type: String, enum: ['not_started', 'in_progress', 'completed'], default: 'not_started' },
+        mapPool: [{ type: String }],
+        sequence: [{ _id: false, action: { type: String }, team: { type: String } }],
+        steps: { type: [vetoStepSchema], default: [] },
+        stepTimeoutSeconds: { type: Number },
+        stepDeadline: { type: Date }
+    },
+    maps: [{  // maps to play, filled by the veto
+        _id: false,
+        gameNumber: { type: Number },
+        map: { type: String },
+        pickedBy: { type: String },  // A│B│decider
+        teamAStartSide: { type: String }
+    }],
+    reports: { type: [resultReportSchema], default: [] },
+    reportStatus: { type: String, enum: ['none', 'pending', 'confirmed', 'escalated', 'resolved'], default: 'none' },
+    escalation: {  // handed to the organizer when captains disagree or don't report in time
+        reason: { type: String, enum: ['mismatch', 'no-confirmation', 'no-report', null], default: null },
+        escalatedAt: { type: Date }
+    },
+    disputed: { type: Boolean, default: false },  // an open dispute holds the winner back from advancing
+    decisions: { type: [decisionSchema], default: [] },
+    incidents: { type: [incidentSchema], default: [] },
 }, { timestamps: true });
 
-module.exports = mongoose.model('Match', matchSchema);
\ No newline at end of file
+matchSchema.methods.start = function () {
+    this.status = 'ongoing';
+    return this.save();
+};
+
+// Referee assigned to this match, or to its whole tournament
+matchSchema.methods.isRefereedBy = function (userId, tournament) {
+    const id = String(userId);
+    return this.refereeId === id || Boolean(tournament && tournament.referees.includes(id));
+};
+
+matchSchema.statics.ELIMINATION_BRACKETS = ELIMINATION_BRACKETS;
+matchSchema.statics.isOddBestOf = isOddBestOf;
+
+// Record the final score; a level score is a draw with no winner
+matchSchema.methods.setResult = function (result, scoreA, scoreB) {
+    this.result = result;
+    this.scoreA = scoreA;
+    this.scoreB = scoreB;
+    this.score = `${scoreA}-${scoreB}`;
+    if (scoreA > scoreB) {
+        this.winnerId = this.teamAId;
+    } else if (scoreB > scoreA) {
+        this.winnerId = this.teamBId;
+    } else {
+        this.winnerId = null;
+    }
+    this.status = 'completed';
+    return this.save();
+};
+
+matchSchema.methods.logDecision = function (action, user, { disputeId = null, notes = '', details } = {}) {
+    this.decisions.push({ action, decidedBy: String(user._id), disputeId, notes, details });
+};
+
+// Clear the result and games so the match is played again
+matchSchema.methods.resetForReplay = function (scheduledAt) {
+    this.status = 'scheduled';
+    this.result = '';
+    this.score = '';
+    this.scoreA = undefined;
+    this.scoreB = undefined;
+    this.winnerId = null;
+    this.outcome = 'normal';
+    this.forfeitedBy = [];
+    this.games = [];
+    this.reports = [];
+    this.reportStatus = 'none';
+    this.escalation = { reason: null, escalatedAt: null };
+    if (scheduledAt) this.scheduledAt = scheduledAt;
+};
+
+// Store a captain's report, replacing an earlier one from the same side. Two
+// matching reports confirm the score; differing reports escalate the match.
+matchSchema.methods.submitReport = function (report) {
+    this.reports = [...this.reports.filter(item => item.side !== report.side), report];
+
+    const [first, second] = this.reports;
+    if (!second) {
+        this.reportStatus = 'pending';
+    } else if (first.scoreA === second.scoreA && first.scoreB === second.scoreB) {
+        this.reportStatus = 'confirmed';
+    } else {
+        this.escalate('mismatch');
+    }
+    return this.save();
+};
+
+matchSchema.methods.escalate = function (reason) {
+    this.reportStatus = 'escalated';
+    this.escalation = { reason, escalatedAt: new Date() };
+};
+
+// Escalate when the second captain hasn't confirmed within `confirmationMinutes`
+// of the first report, or nobody has reported `reportWindowMinutes` after the
+// match should have ended. Returns true when the match was escalated.
+matchSchema.methods.checkReportDeadline = function ({ confirmationMinutes, reportWindowMinutes, minutesPerGame }, now = new Date()) {
+    if (['completed', 'cancelled'].includes(this.status) || ['escalated', 'resolved', 'confirmed'].includes(this.reportStatus)) {
+        return false;
+    }
+
+    const minute = 60 * 1000;
+    if (this.reportStatus === 'pending') {
+        if (now - this.reports[0].reportedAt > confirmationMinutes * minute) {
+            this.escalate('no-confirmation');
+            return true;
+        }
+    } else if (this.scheduledAt && this.teamAId && this.teamBId) {
+        const expectedEnd = this.scheduledAt.getTime() + (this.bestOf || 1) * minutesPerGame * minute;
+        if (now.getTime() > expectedEnd + reportWindowMinutes * minute) {
+            this.escalate('no-report');
+            return true;
+        }
+    }
+    return false;
+};
+
+// Move the match to a new time (and optionally another station); a postponed
+// match becomes scheduled again
+matchSchema.methods.rescheduleNewDate = function (scheduledAt, station) {
+    this.scheduledAt = scheduledAt;
+    if (station !== undefined) this.station = station;
+    if (this.status === 'postponed') this.status = 'scheduled';
+    return this.save();
+};
+
+// Games a competitor must win to take the series, e.g. 2 in a best-of-3
+matchSchema.methods.gamesToWin = function () {
+    return Math.floor((this.bestOf || 1) / 2) + 1;
+};
+
+// Series score derived from the games played so far
+matchSchema.methods.seriesScore = function () {
+    const wins = (competitorId) => this.games.filter(game => competitorId && game.winner.equals(competitorId)).length;
+    return { scoreA: wins(this.teamAId), scoreB: wins(this.teamBId) };
+};
+
+matchSchema.methods.isSeriesDecided = function () {
+    const { scoreA, scoreB } = this.seriesScore();
+    return Math.max(scoreA, scoreB) >= this.gamesToWin();
+};
+
+// Record one game of the series; the first game puts the match in progress
+matchSchema.methods.addGame = function (game) {
+    this.games.push({ ...game, gameNumber: this.games.length + 1 });
+    if (this.status === 'scheduled') this.status = 'ongoing';
+    return this.save();
+};
+
+// One side gives up: the opponent wins by the games needed to take the series,
+// e.g. 2-0 in a best-of-3
+matchSchema.methods.forfeit = async function (side) {
+    const Competitor = mongoose.model('Competitor');
+    const forfeitingId = side === 'A' ? this.teamAId : this.teamBId;
+    const wins = this.gamesToWin();
+
+    this.outcome = 'forfeit';
+    this.forfeitedBy = [forfeitingId];
+    await this.setResult('Forfeit', side === 'A' ? 0 : wins, side === 'A' ? wins : 0);
+
+    const [winner, loser] = await Promise.all([Competitor.findById(this.winnerId), Competitor.findById(forfeitingId)]);
+    if (winner) await winner.updateStats(true);
+    if (loser) await loser.updateStats(false);
+    await this.advance();
+};
+
+// Both sides give up: both take a loss and nobody moves on, so the matches
+// they fed are left with a vacant slot
+matchSchema.methods.doubleForfeit = async function () {
+    const Competitor = mongoose.model('Competitor');
+
+    this.outcome = 'double-forfeit';
+    this.forfeitedBy = [this.teamAId, this.teamBId];
+    await this.setResult('Double forfeit', 0, 0);
+
+    const competitors = await Competitor.find({ _id: { $in: this.forfeitedBy } });
+    await Promise.all(competitors.map(competitor => competitor.updateStats(false)));
+
+    for (const { match, slot } of await this.getDownstream()) {
+        if (match) await match.vacate(slot);
+    }
+};
+
+// Mark a slot that will never be filled. The competitor in the other slot
+// wins by walkover; with both slots vacant the match is void and the vacancy
+// moves further down the bracket.
+matchSchema.methods.vacate = async function (slot) {
+    if (['completed', 'cancelled'].includes(this.status)) return;
+
+    this[slot === 'A' ? 'teamAId' : 'teamBId'] = null;
+    if (this.vacantSlot && this.vacantSlot !== slot) {
+        this.status = 'cancelled';
+        this.outcome = 'voided';
+        await this.save();
+        for (const { match, slot: nextSlot } of await this.getDownstream()) {
+            if (match) await match.vacate(nextSlot);
+        }
+        return;
+    }
+
+    this.vacantSlot = slot;
+    const presentId = slot === 'A' ? this.teamBId : this.teamAId;
+    if (presentId) {
+        await this.awardWalkover(presentId);
+    } else {
+        await this.save();
+    }
+};
+
+// Take a counted result back out of competitor stats and ratings, e.g. before
+// it is replaced or replayed. Leaves the match itself untouched.
+matchSchema.methods.revertResult = async function () {
+    if (this.status !== 'completed' || !this.teamAId || !this.teamBId) return;
+
+    const Competitor = mongoose.model('Competitor');
+    const Rating = mongoose.model('Rating');
+    const competitors = await Competitor.find({ _id: { $in: [this.teamAId, this.teamBId] } });
+
+    for (const competitor of competitors) {
+        if (this.outcome === 'double-forfeit') {
+            await competitor.updateStats(false, -1);
+        } else if (this.winnerId) {
+            await competitor.updateStats(competitor._id.equals(this.winnerId), -1);
+        }
+    }
+    await Rating.revertMatch(this._id);
+};
+
+// Throw the match out: a counted result is taken back from competitor stats
+// and ratings, and the match no longer counts toward standings
+matchSchema.methods.voidResult = async function () {
+    await this.revertResult();
+
+    this.status = 'cancelled';
+    this.outcome = 'voided';
+    return this.save();
+};
+
+// Win without playing, counted like a bye
+matchSchema.methods.awardWalkover = async function (competitorId) {
+    this.winnerId = competitorId;
+    this.outcome = 'walkover';
+    this.status = 'completed';
+    await this.save();
+    await this.advance();
+};
+
+matchSchema.methods.hasStarted = function () {
+    return ['ongoing', 'completed'].includes(this.status) || Boolean(this.winnerId);
+};
+
+// Matches this one feeds, with the slot each competitor goes into
+matchSchema.methods.getDownstream = async function () {
+    const Match = this.constructor;
+    const links = [
+        { matchId: this.nextMatchId, slot: this.nextMatchSlot, side: 'winner' },
+        { matchId: this.loserNextMatchId, slot: this.loserNextMatchSlot, side: 'loser' }
+    ].filter(link => link.matchId);
+
+    return Promise.all(links.map(async link => ({ ...link, match: await Match.findById(link.matchId) })));
+};
+
+// Fill the winner and loser into the matches they feed. The bracket reset is
+// cancelled when the winners bracket champion (slot A) takes the first grand final.
+// A competitor landing opposite a vacant slot wins that match by walkover, and
+// a disqualified competitor is never sent on: its slot is vacated instead.
+// Nothing moves while the match is disputed.
+matchSchema.methods.advance = async function () {
+    if (!this.winnerId || this.disputed) return;
+
+    const loserId = this.winnerId.equals(this.teamAId) ? this.teamBId : this.teamAId;
+    const downstream = await this.getDownstream();
+    const disqualified = await mongoose.model('Competitor')
+        .find({ _id: { $in: [this.winnerId, loserId].filter(Boolean) }, status: 'disqualified' })
+        .distinct('_id');
+    const isOut = (competitorId) => !competitorId || disqualified.some(id => id.equals(competitorId));
+
+    for (const { match, slot, side } of downstream) {
+        if (!match) continue;
+
+        const competitorId = side === 'winner' ? this.winnerId : loserId;
+        if (match.bracketReset && this.winnerId.equals(this.teamAId)) {
+            match.status = 'cancelled';
+        } else if (isOut(competitorId)) {
+            // A walkover has no loser to drop down, and a disqualified one goes nowhere
+            await match.vacate(slot);
+            continue;
+        } else {
+            match[slot === 'A' ? 'teamAId' : 'teamBId'] = competitorId;
+        }
+        await match.save();
+
+        if (match.vacantSlot && match.status === 'scheduled') {
+            await match.awardWalkover(competitorId);
+        }
+    }
+};
+
+// Undo advance() or doubleForfeit() so a corrected result can be applied.
+// Callers must check that no downstream match has started first.
+matchSchema.methods.rollbackAdvancement = async function () {
+    const downstream = await this.getDownstream();
+
+    for (const { match, slot } of downstream) {
+        if (!match) continue;
+
+        if (match.bracketReset && match.status === 'cancelled') {
+            match.status = 'scheduled';
+        } else if (match.status === 'cancelled' && match.outcome === 'voided' && match.vacantSlot) {
+            // Both slots were vacated: reopen it with only the other slot
+            // vacant and take back the vacancy it passed on
+            match.status = 'scheduled';
+            match.outcome = 'normal';
+            match.vacantSlot = slot === 'A' ? 'B' : 'A';
+            await match.rollbackAdvancement();
+        }
+        match[slot === 'A' ? 'teamAId' : 'teamBId'] = null;
+        if (match.vacantSlot === slot) match.vacantSlot = null;
+        await match.save();
+    }
+};
+
+module.exports = mongoose.model('Match', matchSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const PLATFORMS = ['riot', 'steam', 'mlbb', 'battlenet', 'epic', 'other'];
+
+const gameAccountSchema = new mongoose.Schema({
+    gameName: { type: String, required: [true, 'Game name is required'], trim: true },
+    platform: { type: String, enum: PLATFORMS, default: 'other' },
+    ign: { type: String, required: [true, 'In-game name is required'], trim: true },  // e.g. Riot ID "Faker#KR1"
+    accountId: { type: String, trim: true },  // Steam ID, MLBB ID + server...
+    isPrimary: { type: Boolean, default: false }
+}, { _id: false });
+
+const playerProfileSchema = new mongoose.Schema({
+    userId: { type: String, ref: 'User', required: true, unique: true },
+    gameAccounts: { type: [gameAccountSchema], default: [] },
+    mainRoles: [{ type: String, trim: true }],
+    region: { type: String, trim: true },
+    bio: { type: String, trim: true, maxlength: [500, 'Bio cannot exceed 500 characters'] }
+}, { timestamps: true });
+
+playerProfileSchema.index({ 'gameAccounts.gameName': 1, 'gameAccounts.ign': 1 });
+
+playerProfileSchema.statics.PLATFORMS = PLATFORMS;
+
+// In-game name for a game, falling back to the primary account
+playerProfileSchema.methods.ignFor = function (gameName) {
+    const account = this.gameAccounts.find(item => item.gameName === gameName) ||
+        this.gameAccounts.find(item => item.isPrimary);
+    return account ? account.ign : null;
+};
+
+// Map of userId -> in-game name for a game; users without an account are left out
+playerProfileSchema.statics.ignsFor = async function (userIds, gameName) {
+    const profiles = await this.find({ userId: { $in: userIds.map(String) } });
+    const igns = new Map();
+    profiles.forEach(profile => {
+        const ign = profile.ignFor(gameName);
+        if (ign) igns.set(profile.userId, ign);
+    });
+    return igns;
+};
+
+module.exports = mongoose.model('PlayerProfile', playerProfileSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { DEFAULT_RATING, ratingChange, ratingKey } = require('../utils/rating');
+
+const ratingHistorySchema = new mongoose.Schema({
+    matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match' },
+    tournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament' },
+    opponentKey: { type: String },
+    outcome: { type: String, enum: ['win', 'draw', 'loss'] },
+    change: { type: Number },
+    rating: { type: Number },  // rating after this match
+    playedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const ratingSchema = new mongoose.Schema({
+    _id: { type: mongoose.Schema.Types.ObjectId, default: () => new mongoose.Types.ObjectId() },
+    ratingKey: { type: String, required: true },  // team or user ID, shared across tournaments; see utils/rating
+    name: { type: String, required: true },  // display only, follows the latest entry
+    logoUrl: { type: String },
+    gameName: { type: String, default: '' },
+    region: { type: String },
+    rating: { type: Number, default: DEFAULT_RATING },
+    matchesPlayed: { type: Number, default: 0 },
+    wins: { type: Number, default: 0 },
+    draws: { type: Number, default: 0 },
+    losses: { type: Number, default: 0 },
+    history: { type: [ratingHistorySchema], default: [] }
+}, { timestamps: true });
+
+ratingSchema.index({ ratingKey: 1, gameName: 1 }, { unique: true });
+ratingSchema.index({ gameName: 1, rating: -1 });
+
+const OUTCOME_FIELDS = { win: 'wins', draw: 'draws', loss: 'losses' };
+
+// Find or create the rating entry for a competitor in a game. The display
+// fields follow the competitor, so a renamed team keeps its rating.
+ratingSchema.statics.forCompetitor = async function (competitor, gameName = '') {
+    const key = ratingKey(competitor);
+    const rating = await this.findOne({ ratingKey: key, gameName });
+    if (rating) {
+        rating.set({ name: competitor.name, logoUrl: competitor.logoUrl, region: competitor.region });
+        return rating;
+    }
+
+    return new this({
+        ratingKey: key,
+        name: competitor.name,
+        logoUrl: competitor.logoUrl,
+        gameName,
+        region: competitor.region
+    });
+};
+
+// Update both teams' ratings from a completed match
+ratingSchema.statics.recordMatch = async function (match, teamA, teamB, gameName = '') {
+    const [ratingA, ratingB] = await Promise.all([
+        this.forCompetitor(teamA, gameName),
+        this.forCompetitor(teamB, gameName)
+    ]);
+
+    let scoreA = 0.5;
+    if (match.winnerId) {
+        scoreA = match.winnerId.equals(teamA._id) ? 1 : 0;
+    }
+
+    const changeA = ratingChange(ratingA.rating, ratingB.rating, scoreA, ratingA.matchesPlayed);
+    const changeB = ratingChange(ratingB.rating, ratingA.rating, 1 - scoreA, ratingB.matchesPlayed);
+
+    const apply = (rating, opponent, score, change) => {
+        const outcome = score === 1 ? 'win' : score === 0 ? 'loss' : 'draw';
+        rating.rating += change;
+        rating.matchesPlayed += 1;
+        rating[OUTCOME_FIELDS[outcome]] += 1;
+        rating.history.push({
+            matchId: match._id,
+            tournamentId: match.tournamentId,
+            opponentKey: opponent.ratingKey,
+            outcome,
+            change,
+            rating: rating.rating
+        });
+        return rating.save();
+    };
+
+    await apply(ratingA, ratingB, scoreA, changeA);
+    await apply(ratingB, ratingA, 1 - scoreA, changeB);
+};
+
+// Undo the rating change a match caused, e.g. before its result is corrected
+ratingSchema.statics.revertMatch = async function (matchId) {
+    const ratings = await this.find({ 'history.matchId': matchId });
+
+    await Promise.all(ratings.map(rating => {
+        const entry = rating.history.find(item => item.matchId && item.matchId.equals(matchId));
+        rating.rating -= entry.change;
+        rating.matchesPlayed -= 1;
+        rating[OUTCOME_FIELDS[entry.outcome]] -= 1;
+        rating.history = rating.history.filter(item => item !== entry);
+        return rating.save();
+    }));
+};
+
+module.exports = mongoose.model('Rating', ratingSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const MEMBER_ROLES = ['captain', 'player', 'substitute', 'coach', 'manager'];
+
+const teamMemberSchema = new mongoose.Schema({
+    userId: { type: String, ref: 'User', required: true },
+    role: { type: String, enum: MEMBER_ROLES, default: 'player' },
+    position: { type: String, trim: true },  // in-game role, e.g. "mid" or "AWPer"
+    joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const teamSchema = new mongoose.Schema({
+    _id: { type: String, default: () => new mongoose.Types.ObjectId().toString() },
+    name: { type: String, required: [true, 'Team name is required'], trim: true },
+    logoUrl: { type: String, trim: true },
+    description: { type: String, trim: true },
+    gameName: { type: String, trim: true },
+    region: { type: String, trim: true },
+    captainId: { type: String, ref: 'User', required: true },
+    members: { type: [teamMemberSchema], default: [] },
+    maxRosterSize: { type: Number, min: 1, default: 10 },  // players, substitutes and staff together
+    sponsors: [{ type: String, trim: true }],
+    achievements: [{ type: String, trim: true }],
+    socialMedia: {
+        facebook: { type: String, trim: true },
+        youtube: { type: String, trim: true },
+        instagram: { type: String, trim: true },
+        twitch: { type: String, trim: true }
+    },
+    isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+teamSchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+
+teamSchema.methods.isCaptain = function (userId) {
+    return this.captainId === String(userId);
+};
+
+teamSchema.methods.findMember = function (userId) {
+    return this.members.find(member => member.userId === String(userId));
+};
+
+teamSchema.methods.hasRosterSpace = function () {
+    return this.members.length < this.maxRosterSize;
+};
+
+// Hand the captaincy to another member; the old captain stays on as a player
+teamSchema.methods.transferCaptaincy = function (userId) {
+    const current = this.findMember(this.captainId);
+    if (current) current.role = 'player';
+
+    this.findMember(userId).role = 'captain';
+    this.captainId = String(userId);
+};
+
+// Copy of the roster stored on a tournament competitor, with each member's
+// in-game name for the tournament's game
+teamSchema.methods.rosterSnapshot = async function (gameName) {
+    const PlayerProfile = mongoose.model('PlayerProfile');
+    const igns = await PlayerProfile.ignsFor(this.members.map(member => member.userId), gameName || this.gameName);
+
+    return this.members.map(({ userId, role, position }) => ({ userId, ign: igns.get(userId) || null, role, position }));
+};
+
+// A team's roster is locked while it plays in a tournament that has started
+teamSchema.methods.isRosterLocked = async function () {
+    const Competitor = mongoose.model('Competitor');
+    const entries = await Competitor.find({ teamId: this._id, rosterLockedAt: { $ne: null } })
+        .populate('tournamentId', 'status');
+
+    return entries.some(entry => entry.tournamentId && entry.tournamentId.status === 'ongoing');
+};
+
+module.exports = mongoose.model('Team', teamSchema);
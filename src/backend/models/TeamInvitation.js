@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const INVITATION_TTL_DAYS = 7;
+
+// A captain's invitation to a player ("invite") or a player's request to join ("request")
+const teamInvitationSchema = new mongoose.Schema({
+    teamId: { type: String, ref: 'Team', required: true },
+    type: { type: String, enum: ['invite', 'request'], required: true },
+    userId: { type: String, ref: 'User', default: null },  // null for an email invite to someone without an account yet
+    email: { type: String, lowercase: true, trim: true },
+    createdBy: { type: String, ref: 'User', required: true },
+    message: { type: String, trim: true },
+    status: { type: String, enum: ['pending', 'accepted', 'declined', 'expired', 'cancelled'], default: 'pending' },
+    expiresAt: { type: Date, default: () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000) },
+    respondedBy: { type: String, ref: 'User' },
+    respondedAt: { type: Date }
+}, { timestamps: true });
+
+teamInvitationSchema.index({ teamId: 1, status: 1 });
+teamInvitationSchema.index({ userId: 1, status: 1 });
+
+// Mark pending invitations past their expiry as expired
+teamInvitationSchema.statics.expireStale = function (filter = {}) {
+    return this.updateMany(
+        { ...filter, status: 'pending', expiresAt: { $lte: new Date() } },
+        { status: 'expired' }
+    );
+};
+
+// Pending invitations addressed to a user, by account or by email
+teamInvitationSchema.statics.findPendingForUser = async function (user) {
+    const filter = { type: 'invite', $or: [{ userId: String(user._id) }, { email: user.email }] };
+    await this.expireStale(filter);
+
+    return this.find({ ...filter, status: 'pending' })
+        .populate('teamId', 'name logoUrl gameName region')
+        .populate('createdBy', 'fullName avatarUrl')
+        .sort({ createdAt: -1 });
+};
+
+teamInvitationSchema.methods.isExpired = function () {
+    return this.status === 'expired' || (this.status === 'pending' && this.expiresAt <= new Date());
+};
+
+// Invites are answered by the invited player, join requests by the team captain
+teamInvitationSchema.methods.canRespond = function (user, team) {
+    if (this.type === 'request') {
+        return team.isCaptain(user._id) || user.role === 'admin';
+    }
+    return this.userId === String(user._id) || (!this.userId && this.email === user.email);
+};
+
+teamInvitationSchema.methods.respond = function (status, user) {
+    this.status = status;
+    this.respondedBy = String(user._id);
+    this.respondedAt = new Date();
+    if (!this.userId) this.userId = String(user._id);
+    return this.save();
+};
+
+module.exports = mongoose.model('TeamInvitation', teamInvitationSchema);
@@ -1,5 +1,36 @@
 const mongoose = require('mongoose');
 
+// Allowed lifecycle moves; archived is terminal and read-only
+const STATUS_TRANSITIONS = {
+    draft: ['registration_open', 'cancelled'],
+    registration_open: ['registration_closed', 'cancelled'],
+    registration_closed: ['registration_open', 'check_in', 'ongoing', 'cancelled'],
+    check_in: ['registration_closed', 'ongoing', 'cancelled'],
+    ongoing: ['completed', 'cancelled'],
+    completed: ['archived'],
+    cancelled: ['archived'],
+    archived: []
+};
+
+// Settings carried over when a tournament is saved as a template or cloned
+const TEMPLATE_FIELDS = [
+    'format', 'description', 'gameName', 'maxPlayers', 'rules', 'prizePool', 'prizeSplit', 'matchFormat',
+    'pointsScheme', 'tiebreakers', 'checkIn', 'waitlist', 'scheduling', 'mapVeto', 'resultReporting', 'disqualification'
+];
+
+// An even series can end level and never be decided
+const isOddBestOf = (value) => Number.isInteger(value) && value >= 1 && value % 2 === 1;
+
+const MINUTE = 60 * 1000;
+
+const statusHistorySchema = new mongoose.Schema({
+    from: { type: String },
+    to: { type: String, required: true },
+    changedBy: { type: String, ref: 'User' },
+    note: { type: String },
+    changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const tournamentSchema = new mongoose.Schema({
     _id: { type: mongoose.Schema.Types.ObjectId, default: () => new mongoose.Types.ObjectId() },
     name: { type: String, required: true },
@@ -7,13 +38,355 @@ const tournamentSchema = new mongoose.Schema({
     description: { type: String },
     organizerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },  // removed required to allow seeding
     teams: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Competitor', default: [] }],
+    referees: [{ type: String, ref: 'User' }],  // may officiate every match of the tournament
     avatarUrl: { type: String },
     gameName: { type: String },
     numberOfPlayers: { type: Number },
     maxPlayers: { type: Number },
     startDate: { type: Date },
     endDate: { type: Date },
-    status: { type: String }, // upcoming│ongoing│completed
+    status: { type: String, enum: Object.keys(STATUS_TRANSITIONS), default: 'draft' },
+    statusHistory: { type: [statusHistorySchema], default: [] },
+    registrationDeadline: { type: Date },
+    rules: { type: String },
+    prizePool: { type: Number, min: 0, default: 0 },
+    prizeSplit: {  // share of the prize pool per final placing
+        type: [{ _id: false, place: { type: Number, min: 1, required: true }, percentage: { type: Number, min: 0, max: 100, required: true } }],
+        validate: [splits => splits.reduce((sum, split) => sum + split.percentage, 0) <= 100, 'Prize split cannot exceed 100%']
+    },
+    matchFormat: {
+        bestOf: { type: Number, default: 1, validate: [isOddBestOf, 'bestOf must be an odd number'] },
+        rounds: [{  // overrides, first match wins; leave bracket or round out to match any
+            _id: false,
+            bracket: { type: String },  // winners│losers│grand-final│round-robin
+            round: { type: Number },
+            bestOf: { type: Number, required: true, validate: [isOddBestOf, 'bestOf must be an odd number'] }
+        }]
+    },
+    pointsScheme: {
+        win: { type: Number, default: 3 },
+        draw: { type: Number, default: 1 },
+        loss: { type: Number, default: 0 }
+    },
+    checkIn: {
+        enabled: { type: Boolean, default: false },
+        opensMinutesBefore: { type: Number, default: 60 },   // relative to startDate
+        closesMinutesBefore: { type: Number, default: 15 },
+        noShowAction: { type: String, enum: ['remove', 'disqualify'], default: 'disqualify' },
+        finalizedAt: { type: Date }
+    },
+    waitlist: {
+        claimWindowHours: { type: Number, default: 24 }  // 0 promotes the next waitlisted competitor immediately
+    },
+    mapVeto: {  // CS2 map veto; an empty pool uses the active duty maps
+        mapPool: {
+            type: [{ type: String, trim: true }],
+            validate: [pool => new Set(pool).size === pool.length, 'Map pool cannot list a map twice']
+        },
+        stepTimeoutSeconds: { type: Number, min: 10, default: 60 }  // a random action is taken when a captain runs out of time
+    },
+    disqualification: {  // what happens to a competitor's matches when it is disqualified mid-event
+        remainingMatches: { type: String, enum: ['award', 'void'], default: 'award' },  // elimination matches are always awarded
+        playedMatches: { type: String, enum: ['keep', 'void'], default: 'keep' }       // outside elimination brackets only
+    },
+    resultReporting: {  // captains report scores; both must match to finalize
+        enabled: { type: Boolean, default: false },
+        confirmationMinutes: { type: Number, min: 1, default: 30 },  // for the second captain after the first report
+        reportWindowMinutes: { type: Number, min: 1, default: 60 }   // after the expected end of the match
+    },
+    scheduling: {  // defaults for the automatic match scheduler
+        dailyStart: { type: String, default: '10:00', match: [/^\d{1,2}:\d{2}$/, 'Use HH:mm for dailyStart'] },
+        dailyEnd: { type: String, default: '22:00', match: [/^\d{1,2}:\d{2}$/, 'Use HH:mm for dailyEnd'] },
+        minutesPerGame: { type: Number, min: 1, default: 45 },  // a best-of-3 takes three slots' worth
+        stations: { type: Number, min: 1, max: 64, default: 1 }, // parallel stages or streams
+        minRestMinutes: { type: Number, min: 0, default: 30 }
+    },
+    seeds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Competitor' }],  // seed 1 first, used by every bracket generator
+    seedingMethod: { type: String }, // rating│random│registration│manual
+    tiebreakers: {  // applied in order to competitors level on points
+        type: [{ type: String, enum: ['head-to-head', 'game-differential', 'buchholz', 'coin-flip'] }],
+        default: ['head-to-head', 'game-differential', 'buchholz', 'coin-flip']
+    },
 }, { timestamps: true });
 
+// Seeded data still uses the old free-form "upcoming" status
+tournamentSchema.pre('validate', function (next) {
+    if (this.status === 'upcoming') {
+        this.status = 'registration_open';
+    }
+    next();
+});
+
+tournamentSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+tournamentSchema.statics.TEMPLATE_FIELDS = TEMPLATE_FIELDS;
+
+tournamentSchema.statics.findUpcoming = function () {
+    return this.find({ status: { $in: ['upcoming', 'registration_open', 'registration_closed', 'check_in'] } })
+        .sort({ startDate: 1 });
+};
+
+tournamentSchema.statics.findOngoing = function () {
+    return this.find({ status: 'ongoing' }).sort({ startDate: 1 });
+};
+
+tournamentSchema.statics.findByOrganizer = function (organizerId) {
+    return this.find({ organizerId }).sort({ startDate: -1 });
+};
+
+// Run refreshWaitlist() on every tournament that has a waitlist, so lapsed
+// offers move on without waiting for someone to register or withdraw
+tournamentSchema.statics.refreshWaitlists = async function () {
+    const ids = await mongoose.model('Competitor').distinct('tournamentId', { status: 'waitlisted' });
+    const tournaments = await this.find({ _id: { $in: ids } });
+
+    for (const tournament of tournaments) {
+        await tournament.refreshWaitlist();
+    }
+};
+
+tournamentSchema.methods.canTransitionTo = function (status) {
+    const current = this.status === 'upcoming' ? 'registration_open' : this.status || 'draft';
+    return (STATUS_TRANSITIONS[current] || []).includes(status);
+};
+
+// Move to a new status and record who did it; check canTransitionTo first
+tournamentSchema.methods.updateStatus = function (status, changedBy, note) {
+    this.statusHistory.push({ from: this.status, to: status, changedBy, note });
+    this.status = status;
+    return this.save();
+};
+
+tournamentSchema.methods.addTeam = function (competitorId) {
+    this.teams.addToSet(competitorId);
+    this.numberOfPlayers = this.teams.length;
+    return this.save();
+};
+
+tournamentSchema.methods.removeTeam = function (competitorId) {
+    this.teams.pull(competitorId);
+    this.seeds.pull(competitorId);
+    this.numberOfPlayers = this.teams.length;
+    return this.save();
+};
+
+// Spots taken by active competitors plus waitlisted ones holding an unexpired offer
+tournamentSchema.methods.countReservedSpots = async function (now = new Date()) {
+    const Competitor = mongoose.model('Competitor');
+    const [active, offered] = await Promise.all([
+        Competitor.countDocuments({ tournamentId: this._id, status: { $nin: ['waitlisted', 'disqualified'] } }),
+        Competitor.countDocuments({ tournamentId: this._id, status: 'waitlisted', spotOfferExpiresAt: { $gt: now } })
+    ]);
+    return active + offered;
+};
+
+// Send waitlisted competitors whose offer expired to the back of the queue,
+// then offer freed spots to the next ones in line. Returns the competitors
+// offered a spot.
+tournamentSchema.methods.refreshWaitlist = async function () {
+    const Competitor = mongoose.model('Competitor');
+    const now = new Date();
+
+    await Competitor.updateMany(
+        { tournamentId: this._id, status: 'waitlisted', spotOfferExpiresAt: { $lte: now } },
+        { spotOfferExpiresAt: null, waitlistedAt: now }
+    );
+
+    if (!this.maxPlayers || !this.allowsWithdrawal()) return [];
+
+    const openSpots = this.maxPlayers - await this.countReservedSpots(now);
+    if (openSpots <= 0) return [];
+
+    const next = await Competitor.find({ tournamentId: this._id, status: 'waitlisted', spotOfferExpiresAt: null })
+        .sort({ waitlistedAt: 1 })
+        .limit(openSpots);
+
+    for (const competitor of next) {
+        if (this.waitlist.claimWindowHours > 0) {
+            competitor.spotOfferExpiresAt = new Date(now.getTime() + this.waitlist.claimWindowHours * 60 * 60 * 1000);
+            await competitor.save();
+        } else {
+            await competitor.claimSpot();
+            await this.addTeam(competitor._id);
+        }
+    }
+
+    return next;
+};
+
+tournamentSchema.methods.isRegistrationOpen = function () {
+    const open = ['upcoming', 'registration_open'].includes(this.status);
+    return open && (!this.registrationDeadline || this.registrationDeadline > new Date());
+};
+
+tournamentSchema.methods.allowsWithdrawal = function () {
+    return ['upcoming', 'registration_open', 'registration_closed', 'check_in'].includes(this.status);
+};
+
+// Brackets are built once registration is closed and before play starts
+tournamentSchema.methods.canGenerateBracket = function () {
+    return ['registration_closed', 'check_in'].includes(this.status);
+};
+
+tournamentSchema.methods.isReadOnly = function () {
+    return this.status === 'archived';
+};
+
+// Series length for a match from matchFormat
+tournamentSchema.methods.bestOfFor = function ({ bracket, round }) {
+    const rule = this.matchFormat.rounds.find(item =>
+        (!item.bracket || item.bracket === bracket) && (!item.round || item.round === round));
+    return rule ? rule.bestOf : this.matchFormat.bestOf;
+};
+
+// Reusable settings of this tournament, with its end date and registration
+// deadline kept as offsets from the start so they follow a new start date
+tournamentSchema.methods.toTemplateConfig = function () {
+    const tournament = this.toObject();
+    const config = {};
+    TEMPLATE_FIELDS
+        .filter(field => tournament[field] !== undefined)
+        .forEach(field => { config[field] = tournament[field]; });
+    if (config.checkIn) delete config.checkIn.finalizedAt;
+
+    const start = tournament.startDate ? new Date(tournament.startDate).getTime() : null;
+    if (start && tournament.endDate) {
+        config.durationMinutes = Math.round((new Date(tournament.endDate).getTime() - start) / MINUTE);
+    }
+    if (start && tournament.registrationDeadline) {
+        config.registrationLeadMinutes = Math.round((start - new Date(tournament.registrationDeadline).getTime()) / MINUTE);
+    }
+    return config;
+};
+
+// Deadlines used by Match#checkReportDeadline
+tournamentSchema.methods.getReportingSettings = function () {
+    return {
+        confirmationMinutes: this.resultReporting.confirmationMinutes,
+        reportWindowMinutes: this.resultReporting.reportWindowMinutes,
+        minutesPerGame: this.scheduling.minutesPerGame
+    };
+};
+
+// Snapshot every team competitor's current roster and lock it for the event
+tournamentSchema.methods.lockRosters = async function () {
+    const Competitor = mongoose.model('Competitor');
+    const Team = mongoose.model('Team');
+    const competitors = await Competitor.find({ tournamentId: this._id, teamId: { $ne: null }, rosterLockedAt: null });
+
+    for (const competitor of competitors) {
+        const team = await Team.findById(competitor.teamId);
+        if (team) {
+            competitor.roster = await team.rosterSnapshot(this.gameName);
+        }
+        competitor.rosterLockedAt = new Date();
+        await competitor.save();
+    }
+};
+
+tournamentSchema.methods.getCheckInWindow = function () {
+    const start = new Date(this.startDate).getTime();
+    return {
+        opensAt: new Date(start - this.checkIn.opensMinutesBefore * 60 * 1000),
+        closesAt: new Date(start - this.checkIn.closesMinutesBefore * 60 * 1000)
+    };
+};
+
+tournamentSchema.methods.isCheckInOpen = function (now = new Date()) {
+    if (!this.checkIn.enabled || this.status !== 'check_in' || this.checkIn.finalizedAt) return false;
+
+    const { opensAt, closesAt } = this.getCheckInWindow();
+    return now >= opensAt && now < closesAt;
+};
+
+// True once check-in is enabled, its window has passed and no-shows haven't been processed yet
+tournamentSchema.methods.needsCheckInFinalization = function (now = new Date()) {
+    return this.checkIn.enabled && !this.checkIn.finalizedAt && now >= this.getCheckInWindow().closesAt;
+};
+
+// Drop or disqualify competitors that didn't check in, then fill the freed
+// spots with checked-in waitlisted competitors in queue order
+tournamentSchema.methods.finalizeCheckIn = async function () {
+    const Competitor = mongoose.model('Competitor');
+    const noShowQuery = {
+        tournamentId: this._id,
+        status: { $nin: ['waitlisted', 'disqualified'] },
+        checkedIn: { $ne: true }
+    };
+
+    const noShows = await Competitor.find(noShowQuery);
+    const noShowIds = noShows.map(competitor => competitor._id);
+
+    if (this.checkIn.noShowAction === 'remove') {
+        await Competitor.deleteMany({ _id: { $in: noShowIds } });
+    } else {
+        await Competitor.updateMany({ _id: { $in: noShowIds } }, { status: 'disqualified' });
+    }
+    this.teams.pull(...noShowIds);
+    this.seeds.pull(...noShowIds);
+
+    const active = await Competitor.findActive(this._id);
+    const openSpots = this.maxPlayers ? Math.max(this.maxPlayers - active.length, 0) : 0;
+    const promoted = openSpots > 0
+        ? await Competitor.find({ tournamentId: this._id, status: 'waitlisted', checkedIn: true })
+            .sort({ waitlistedAt: 1 })
+            .limit(openSpots)
+        : [];
+
+    for (const competitor of promoted) {
+        await competitor.claimSpot();
+        this.teams.addToSet(competitor._id);
+    }
+    this.numberOfPlayers = this.teams.length;
+
+    this.checkIn.finalizedAt = new Date();
+    await this.save();
+
+    return { noShows, promoted };
+};
+
+// Disqualify a competitor mid-event. Its open matches are forfeited to the
+// opponent (or voided, outside elimination brackets, when the rules say so),
+// and a slot still waiting for an opponent gives that opponent a walkover.
+// Match#advance never sends it on, e.g. into the losers bracket.
+// Returns what happened to each affected match.
+tournamentSchema.methods.disqualify = async function (competitor, reason, user) {
+    const Match = mongoose.model('Match');
+    const rules = this.disqualification;
+
+    competitor.status = 'disqualified';
+    competitor.disqualifiedAt = new Date();
+    competitor.disqualificationReason = reason;
+    await competitor.save();
+
+    const matches = await Match.find({
+        tournamentId: this._id,
+        $or: [{ teamAId: competitor._id }, { teamBId: competitor._id }]
+    }).sort({ round: 1, matchNumber: 1 });
+
+    const affected = [];
+    for (const match of matches) {
+        const elimination = Match.ELIMINATION_BRACKETS.includes(match.bracket);
+        const side = competitor._id.equals(match.teamAId) ? 'A' : 'B';
+        const opponentId = side === 'A' ? match.teamBId : match.teamAId;
+
+        let action = null;
+        if (match.status === 'completed') {
+            if (!elimination && rules.playedMatches === 'void') action = 'voided';
+        } else if (match.status !== 'cancelled') {
+            if (elimination && !opponentId) action = 'walkover';
+            else if (opponentId && (elimination || rules.remainingMatches === 'award')) action = 'forfeit';
+            else action = 'voided';
+        }
+        if (!action) continue;
+
+        match.logDecision('disqualification', user, { notes: reason, details: { competitorId: competitor._id, action } });
+        if (action === 'forfeit') await match.forfeit(side);
+        else if (action === 'walkover') await match.vacate(side);
+        else await match.voidResult();
+
+        affected.push({ matchId: match._id, action });
+    }
+    return affected;
+};
+
 module.exports = mongoose.model('Tournament', tournamentSchema);
\ No newline at end of file
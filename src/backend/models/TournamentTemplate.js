@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Saved tournament settings an organizer can start new tournaments from;
+// `config` holds the Tournament.TEMPLATE_FIELDS plus timing offsets
+const tournamentTemplateSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    organizerId: { type: String, ref: 'User', required: true },
+    sourceTournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament', default: null },
+    config: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { timestamps: true, minimize: false });
+
+tournamentTemplateSchema.index({ organizerId: 1, name: 1 });
+
+tournamentTemplateSchema.methods.canManage = function (user) {
+    return this.organizerId === String(user._id) || user.role === 'admin';
+};
+
+module.exports = mongoose.model('TournamentTemplate', tournamentTemplateSchema);
@@ -18,7 +18,7 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['user', 'organizer', 'admin'],
+        enum: ['user', 'organizer', 'referee', 'admin'],
         default: 'user'
     },
     fullName: {
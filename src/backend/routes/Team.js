@@ -1,10 +0,0 @@
-class Team {
-    constructor(id, name, logo, members) {
-        this.id = id;
-        this.name = name;
-        this.logo = logo;
-        this.members = members || [];
-    }
-}
-
-module.exports = Team;
\ No newline at end of file
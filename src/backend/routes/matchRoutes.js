@@ -1,6 +1,7 @@
 const express = require('express');
 const MatchController = require('../controllers/MatchController');
-const { authenticateToken, authorize, checkTournamentOwnership, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, authorize, checkTournamentOwnership, checkMatchOfficial, optionalAuth } = require('../middleware/auth');
+const { requireWritableTournament, requireWritableMatch } = require('../middleware/tournamentStatus');
 
 const router = express.Router();
 
@@ -8,22 +9,42 @@ const router = express.Router();
 router.get('/', MatchController.getAllMatches);
 router.get('/upcoming', MatchController.getUpcomingMatches);
 router.get('/ongoing', MatchController.getOngoingMatches);
+router.get('/refereeing', authenticateToken, authorize('referee'), MatchController.getRefereeQueue);
 router.get('/:id', MatchController.getMatchById);
+router.get('/:id/box-score', MatchController.getBoxScore);
+router.get('/:id/veto', MatchController.getMapVeto);
 router.get('/tournament/:tournamentId', MatchController.getMatchesByTournament);
 router.get('/competitor/:competitorId', MatchController.getMatchesByCompetitor);
 
 // Protected routes (require authentication)
 router.use(authenticateToken);
 
+// Captain routes
+router.post('/:id/veto/action', requireWritableMatch, MatchController.submitVetoAction);
+router.post('/:id/report', requireWritableMatch, MatchController.reportResult);
+
+// Match participants and staff
+router.get('/:id/disputes', MatchController.getMatchDisputes);
+router.post('/:id/disputes', requireWritableMatch, MatchController.openDispute);
+router.get('/:id/disputes/:disputeId', MatchController.getDispute);
+router.post('/:id/disputes/:disputeId/messages', requireWritableMatch, MatchController.addDisputeMessage);
+
 // Organizer/Admin routes (match management)
-router.post('/', authorize('organizer', 'admin'), MatchController.createMatch);
-router.put('/:id', authorize('organizer', 'admin'), MatchController.updateMatch);
-router.delete('/:id', authorize('organizer', 'admin'), MatchController.deleteMatch);
-router.put('/:id/start', authorize('organizer', 'admin'), MatchController.startMatch);
-router.put('/:id/result', authorize('organizer', 'admin'), MatchController.setMatchResult);
-router.put('/:id/reschedule', authorize('organizer', 'admin'), MatchController.rescheduleMatch);
-router.put('/:id/cancel', authorize('organizer', 'admin'), MatchController.cancelMatch);
-router.put('/:id/postpone', authorize('organizer', 'admin'), MatchController.postponeMatch);
-router.post('/:id/game', authorize('organizer', 'admin'), MatchController.addGame);
+router.post('/', authorize('organizer', 'admin'), requireWritableTournament, MatchController.createMatch);
+router.put('/:id', authorize('organizer', 'admin'), requireWritableMatch, MatchController.updateMatch);
+router.delete('/:id', authorize('organizer', 'admin'), requireWritableMatch, MatchController.deleteMatch);
+router.put('/:id/reschedule', authorize('organizer', 'admin'), requireWritableMatch, MatchController.rescheduleMatch);
+router.put('/:id/cancel', authorize('organizer', 'admin'), requireWritableMatch, MatchController.cancelMatch);
+router.put('/:id/postpone', authorize('organizer', 'admin'), requireWritableMatch, MatchController.postponeMatch);
+router.post('/:id/veto', authorize('organizer', 'admin'), requireWritableMatch, MatchController.startMapVeto);
+router.put('/:id/referee', authorize('organizer', 'admin'), requireWritableMatch, MatchController.assignReferee);
+router.put('/:id/disputes/:disputeId/resolve', authorize('organizer', 'admin'), requireWritableMatch, MatchController.resolveDispute);
+
+// Officiating routes (organizer/admin, or a referee assigned to the match)
+router.put('/:id/start', checkMatchOfficial, requireWritableMatch, MatchController.startMatch);
+router.put('/:id/result', checkMatchOfficial, requireWritableMatch, MatchController.setMatchResult);
+router.post('/:id/game', checkMatchOfficial, requireWritableMatch, MatchController.addGame);
+router.put('/:id/forfeit', checkMatchOfficial, requireWritableMatch, MatchController.forfeitMatch);
+router.post('/:id/incidents', checkMatchOfficial, requireWritableMatch, MatchController.reportIncident);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+const express = require('express');
+const PlayerController = require('../controllers/PlayerController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Own profile (declared before /:id so "me" isn't taken as an ID)
+router.get('/me', authenticateToken, PlayerController.getMyProfile);
+router.put('/me', authenticateToken, PlayerController.updateMyProfile);
+
+// Public routes
+router.get('/:id', PlayerController.getPlayer);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const RankingController = require('../controllers/RankingController');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', RankingController.getRankings);
+router.get('/:id', RankingController.getRatingHistory);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const TeamController = require('../controllers/TeamController');
+const { authenticateToken, checkTeamCaptain } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', TeamController.getAllTeams);
+router.get('/:id', TeamController.getTeamById);
+
+// Protected routes (require authentication)
+router.use(authenticateToken);
+
+router.post('/', TeamController.createTeam);
+router.delete('/:id/members/:userId', TeamController.removeMember);
+router.post('/:id/join-requests', TeamController.requestToJoin);
+router.put('/invitations/:invitationId/accept', TeamController.acceptInvitation);
+router.put('/invitations/:invitationId/decline', TeamController.declineInvitation);
+router.delete('/invitations/:invitationId', TeamController.cancelInvitation);
+
+// Routes that require team captaincy or admin role
+router.put('/:id', checkTeamCaptain, TeamController.updateTeam);
+router.delete('/:id', checkTeamCaptain, TeamController.deleteTeam);
+router.post('/:id/members', checkTeamCaptain, TeamController.addMember);
+router.put('/:id/members/:userId', checkTeamCaptain, TeamController.updateMember);
+router.get('/:id/invitations', checkTeamCaptain, TeamController.getTeamInvitations);
+router.post('/:id/invitations', checkTeamCaptain, TeamController.inviteMember);
+
+module.exports = router;
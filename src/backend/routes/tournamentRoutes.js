@@ -1,6 +1,7 @@
 const express = require('express');
 const TournamentController = require('../controllers/TournamentController');
 const { authenticateToken, authorize, checkTournamentOwnership, optionalAuth } = require('../middleware/auth');
+const { requireWritableTournament } = require('../middleware/tournamentStatus');
 
 const router = express.Router();
 
@@ -8,8 +9,15 @@ const router = express.Router();
 router.get('/', TournamentController.getAllTournaments);
 router.get('/upcoming', TournamentController.getUpcomingTournaments);
 router.get('/ongoing', TournamentController.getOngoingTournaments);
+router.get('/templates', authenticateToken, authorize('organizer', 'admin'), TournamentController.getTemplates);
 router.get('/:id', TournamentController.getTournamentById);
 router.get('/:id/participants', TournamentController.getTournamentParticipants);
+router.get('/:id/bracket', TournamentController.getBracket);
+router.get('/:id/swiss/standings', TournamentController.getSwissStandings);
+router.get('/:id/standings', TournamentController.getStandings);
+router.get('/:id/seeds', TournamentController.getSeeds);
+router.get('/:id/schedule/conflicts', TournamentController.getScheduleConflicts);
+router.get('/:id/draft-stats', TournamentController.getDraftStats);
 router.get('/organizer/:organizerId', TournamentController.getTournamentsByOrganizer);
 
 // Protected routes (require authentication)
@@ -18,13 +26,29 @@ router.use(authenticateToken);
 // User routes (authenticated users)
 router.post('/:id/register', TournamentController.registerForTournament);
 router.delete('/:id/withdraw', TournamentController.withdrawFromTournament);
+router.post('/:id/check-in', TournamentController.checkIn);
+router.get('/:id/waitlist/position', TournamentController.getWaitlistPosition);
+router.post('/:id/waitlist/claim', TournamentController.claimWaitlistSpot);
 
 // Organizer/Admin routes (require organizer role or tournament ownership)
 router.post('/', authorize('organizer', 'admin'), TournamentController.createTournament);
+router.delete('/templates/:templateId', authorize('organizer', 'admin'), TournamentController.deleteTemplate);
 
 // Routes that require tournament ownership or admin role
-router.put('/:id', checkTournamentOwnership, TournamentController.updateTournament);
-router.delete('/:id', checkTournamentOwnership, TournamentController.deleteTournament);
+router.put('/:id', checkTournamentOwnership, requireWritableTournament, TournamentController.updateTournament);
+router.delete('/:id', checkTournamentOwnership, requireWritableTournament, TournamentController.deleteTournament);
 router.put('/:id/status', checkTournamentOwnership, TournamentController.updateTournamentStatus);
+router.post('/:id/bracket', checkTournamentOwnership, requireWritableTournament, TournamentController.generateBracket);
+router.post('/:id/swiss/next-round', checkTournamentOwnership, requireWritableTournament, TournamentController.pairNextSwissRound);
+router.post('/:id/schedule', checkTournamentOwnership, requireWritableTournament, TournamentController.scheduleMatches);
+router.post('/:id/competitors/:competitorId/disqualify', checkTournamentOwnership, requireWritableTournament, TournamentController.disqualifyCompetitor);
+router.post('/:id/template', checkTournamentOwnership, TournamentController.saveTemplate);
+router.post('/:id/referees', checkTournamentOwnership, requireWritableTournament, TournamentController.addReferee);
+router.delete('/:id/referees/:userId', checkTournamentOwnership, requireWritableTournament, TournamentController.removeReferee);
+router.get('/:id/disputes', checkTournamentOwnership, TournamentController.getDisputes);
+router.get('/:id/reports/escalated', checkTournamentOwnership, TournamentController.getEscalatedMatches);
+router.post('/:id/check-in/close', checkTournamentOwnership, requireWritableTournament, TournamentController.closeCheckIn);
+router.post('/:id/seeds', checkTournamentOwnership, requireWritableTournament, TournamentController.generateSeeds);
+router.put('/:id/seeds', checkTournamentOwnership, requireWritableTournament, TournamentController.updateSeeds);
 
 module.exports = router;
\ No newline at end of file
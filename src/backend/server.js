@@ -13,6 +13,12 @@ const tournamentRoutes = require('./routes/tournamentRoutes');
 const newsRoutes = require('./routes/newsRoutes');
 const matchRoutes = require('./routes/matchRoutes');
 const highlightRoutes = require('./routes/highlightRoutes');
+const rankingRoutes = require('./routes/rankingRoutes');
+const teamRoutes = require('./routes/teamRoutes');
+const playerRoutes = require('./routes/playerRoutes');
+
+// Import models used by background jobs
+const Tournament = require('./models/Tournament');
 
 const app = express();
 const port = config.port;
@@ -35,6 +41,9 @@ app.use('/api/tournaments', tournamentRoutes);
 app.use('/api/news', newsRoutes);
 app.use('/api/matches', matchRoutes);
 app.use('/api/highlights', highlightRoutes);
+app.use('/api/rankings', rankingRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/players', playerRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -72,13 +81,36 @@ app.get('/api', (req, res) => {
                     'GET /ongoing - Get ongoing tournaments',
                     'GET /:id - Get tournament by ID',
                     'GET /:id/participants - Get tournament participants',
+                    'GET /:id/bracket - Get tournament bracket',
+                    'GET /:id/swiss/standings - Get Swiss standings with tiebreakers',
+                    'GET /:id/standings - Get standings from completed matches',
+                    'GET /:id/seeds - Get seed list',
+                    'GET /:id/schedule/conflicts - Get schedule conflict report',
+                    'GET /:id/draft-stats - Get champion pick/ban rates (LoL, Mobile Legends)',
                     'GET /organizer/:organizerId - Get tournaments by organizer',
-                    'POST / - Create tournament (organizer/admin required)',
+                    'POST / - Create tournament, optionally from templateId or cloneFrom (organizer/admin required)',
+                    'GET /templates - Get your tournament templates (organizer/admin required)',
+                    'DELETE /templates/:templateId - Delete a tournament template (organizer/admin required)',
+                    'POST /:id/template - Save tournament settings as a template (owner/admin required)',
                     'PUT /:id - Update tournament (owner/admin required)',
                     'DELETE /:id - Delete tournament (owner/admin required)',
                     'POST /:id/register - Register for tournament (auth required)',
                     'DELETE /:id/withdraw - Withdraw from tournament (auth required)',
-                    'PUT /:id/status - Update tournament status (owner/admin required)'
+                    'POST /:id/check-in - Check in during the check-in window (auth required)',
+                    'GET /:id/waitlist/position - Get your waitlist position (auth required)',
+                    'POST /:id/waitlist/claim - Claim a spot offered from the waitlist (auth required)',
+                    'PUT /:id/status - Update tournament status (owner/admin required)',
+                    'POST /:id/bracket - Generate or regenerate bracket or round-robin schedule (owner/admin required)',
+                    'POST /:id/swiss/next-round - Pair the next Swiss round (owner/admin required)',
+                    'POST /:id/competitors/:competitorId/disqualify - Disqualify a competitor, awarding or voiding its matches (owner/admin required)',
+                    'POST /:id/referees - Add a tournament referee (owner/admin required)',
+                    'DELETE /:id/referees/:userId - Remove a tournament referee (owner/admin required)',
+                    'GET /:id/disputes - Get disputes raised in the tournament (owner/admin required)',
+                    'GET /:id/reports/escalated - Get matches with escalated captain reports (owner/admin required)',
+                    'POST /:id/schedule - Auto-schedule unscheduled matches (owner/admin required)',
+                    'POST /:id/check-in/close - Close check-in and process no-shows (owner/admin required)',
+                    'POST /:id/seeds - Generate seeds by rating, random or registration order (owner/admin required)',
+                    'PUT /:id/seeds - Manually reorder seeds (owner/admin required)'
                 ]
             },
             news: {
@@ -104,18 +136,32 @@ app.get('/api', (req, res) => {
                     'GET / - Get all matches',
                     'GET /upcoming - Get upcoming matches',
                     'GET /ongoing - Get ongoing matches',
+                    'GET /refereeing - Get matches assigned to the current referee (referee required)',
                     'GET /:id - Get match by ID',
+                    'GET /:id/box-score - Get per-game and per-player stats',
+                    'GET /:id/veto - Get CS2 map veto state',
                     'GET /tournament/:tournamentId - Get matches by tournament',
                     'GET /competitor/:competitorId - Get matches by competitor',
                     'POST / - Create match (organizer/admin required)',
                     'PUT /:id - Update match (organizer/admin required)',
                     'DELETE /:id - Delete match (organizer/admin required)',
-                    'PUT /:id/start - Start match (organizer/admin required)',
-                    'PUT /:id/result - Set match result (organizer/admin required)',
+                    'PUT /:id/start - Start match (organizer/admin or assigned referee required)',
+                    'PUT /:id/result - Set match result (organizer/admin or assigned referee required)',
                     'PUT /:id/reschedule - Reschedule match (organizer/admin required)',
                     'PUT /:id/cancel - Cancel match (organizer/admin required)',
                     'PUT /:id/postpone - Postpone match (organizer/admin required)',
-                    'POST /:id/game - Add game to match (organizer/admin required)'
+                    'POST /:id/game - Add game to a best-of series, completing it once decided (organizer/admin or assigned referee required)',
+                    'PUT /:id/forfeit - Record a forfeit by one side or both (organizer/admin or assigned referee required)',
+                    'POST /:id/incidents - File an incident report (organizer/admin or assigned referee required)',
+                    'PUT /:id/referee - Assign or clear the match referee (organizer/admin required)',
+                    'POST /:id/veto - Start CS2 map veto (organizer/admin required)',
+                    'POST /:id/veto/action - Ban, pick or choose side in the veto (captain required)',
+                    'POST /:id/report - Report score with optional screenshots (captain required)',
+                    'GET /:id/disputes - Get disputes and decision log (captain/staff required)',
+                    'POST /:id/disputes - Open a dispute (captain/staff required)',
+                    'GET /:id/disputes/:disputeId - Get dispute thread (captain/staff required)',
+                    'POST /:id/disputes/:disputeId/messages - Post to dispute thread (captain/staff required)',
+                    'PUT /:id/disputes/:disputeId/resolve - Override result, order replay, issue penalty or dismiss (organizer/admin required)'
                 ]
             },
             highlights: {
@@ -138,6 +184,40 @@ app.get('/api', (req, res) => {
                     'POST /:id/like - Like highlight (auth required)',
                     'POST /:id/share - Share highlight (auth required)'
                 ]
+            },
+            rankings: {
+                base: '/api/rankings',
+                endpoints: [
+                    'GET / - Get rating leaderboard (filter by gameName, region)',
+                    'GET /:id - Get team rating with history'
+                ]
+            },
+            teams: {
+                base: '/api/teams',
+                endpoints: [
+                    'GET / - Get all teams (filter by gameName, region, search)',
+                    'GET /:id - Get team with roster and tournaments',
+                    'POST / - Create team (auth required, creator becomes captain)',
+                    'PUT /:id - Update team (captain/admin required)',
+                    'DELETE /:id - Disband team (captain/admin required)',
+                    'POST /:id/members - Add roster member (captain/admin required)',
+                    'PUT /:id/members/:userId - Update member role or position (captain/admin required)',
+                    'DELETE /:id/members/:userId - Remove member or leave team (auth required)',
+                    'GET /:id/invitations - Get team invitations and join requests (captain/admin required)',
+                    'POST /:id/invitations - Invite player by user ID or email (captain/admin required)',
+                    'POST /:id/join-requests - Request to join team (auth required)',
+                    'PUT /invitations/:invitationId/accept - Accept invitation or join request (auth required)',
+                    'PUT /invitations/:invitationId/decline - Decline invitation or join request (auth required)',
+                    'DELETE /invitations/:invitationId - Cancel invitation or join request (auth required)'
+                ]
+            },
+            players: {
+                base: '/api/players',
+                endpoints: [
+                    'GET /me - Get own player profile (auth required)',
+                    'PUT /me - Update own game accounts, roles, region and bio (auth required)',
+                    'GET /:id - Get public player page with teams and tournaments'
+                ]
             }
         }
     });
@@ -209,6 +289,11 @@ app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, '../../index.html'));
 });
 
+// Move lapsed waitlist offers on in the background, so read requests stay read-only
+setInterval(() => {
+    Tournament.refreshWaitlists().catch(error => console.error('Waitlist refresh error:', error));
+}, config.waitlistRefreshMinutes * 60 * 1000);
+
 // Start server
 app.listen(port, () => {
     console.log(`🚀 Tournament Management System Server running on http://localhost:${port}`);
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+
+// Smallest power of two that can hold `count` competitors
+const nextPowerOfTwo = (count) => {
+    return 2 ** Math.ceil(Math.log2(Math.max(count, 2)));
+};
+
+// Standard seed placement for a bracket of `size` slots: 1 vs 16, 8 vs 9, 4 vs 13...
+// so the top seeds can only meet each other in the latest possible round
+const seedOrder = (size) => {
+    let order = [1];
+    while (order.length < size) {
+        const sum = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, sum - seed]);
+    }
+    return order;
+};
+
+// Create an empty bracket node. Slots hold where a competitor comes from:
+// { competitorId }, { winnerOf: key }, { loserOf: key }, or null when nobody
+// will ever fill it (a bye)
+const createNode = (nodes, key, bracket, round) => {
+    const node = { key, bracket, round, slots: { A: null, B: null }, winnerTo: null, loserTo: null };
+    nodes.set(key, node);
+    return node;
+};
+
+// Feed the winner of `fromKey` into a slot of `toKey`
+const linkWinner = (nodes, fromKey, toKey, slot) => {
+    nodes.get(fromKey).winnerTo = { key: toKey, slot };
+    nodes.get(toKey).slots[slot] = { winnerOf: fromKey };
+};
+
+// Feed the loser of `fromKey` into a slot of `toKey`
+const linkLoser = (nodes, fromKey, toKey, slot) => {
+    nodes.get(fromKey).loserTo = { key: toKey, slot };
+    nodes.get(toKey).slots[slot] = { loserOf: fromKey };
+};
+
+// Point whatever fed `source` at `target` instead of the node being removed
+const reroute = (nodes, source, target) => {
+    if (target) {
+        nodes.get(target.key).slots[target.slot] = source;
+    }
+    if (source && source.winnerOf) {
+        nodes.get(source.winnerOf).winnerTo = target;
+    }
+    if (source && source.loserOf) {
+        nodes.get(source.loserOf).loserTo = target;
+    }
+};
+
+// Remove every node that has an empty slot and pass its only competitor
+// (or its pending feeder) straight through to the next match. Nodes must be
+// stored in play order so feeders are resolved before the matches they feed.
+const resolveByes = (nodes) => {
+    for (const node of [...nodes.values()]) {
+        const { A, B } = node.slots;
+        if (A && B) continue;
+
+        reroute(nodes, A || B, node.winnerTo);
+        reroute(nodes, null, node.loserTo);
+        nodes.delete(node.key);
+    }
+};
+
+// Turn resolved nodes into Match documents with pre-assigned ids
+const toMatchDocuments = (tournamentId, nodes, { bestOf = 1 } = {}) => {
+    const ids = new Map();
+    nodes.forEach((node, key) => ids.set(key, new mongoose.Types.ObjectId()));
+
+    const competitorOf = (source) => (source && source.competitorId) || null;
+
+    return [...nodes.values()].map((node, index) => ({
+        _id: ids.get(node.key),
+        tournamentId,
+        bracket: node.bracket,
+        round: node.round,
+        matchNumber: index + 1,
+        bestOf,
+        teamAId: competitorOf(node.slots.A),
+        teamBId: competitorOf(node.slots.B),
+        nextMatchId: node.winnerTo ? ids.get(node.winnerTo.key) : null,
+        nextMatchSlot: node.winnerTo ? node.winnerTo.slot : null,
+        loserNextMatchId: node.loserTo ? ids.get(node.loserTo.key) : null,
+        loserNextMatchSlot: node.loserTo ? node.loserTo.slot : null,
+        bracketReset: Boolean(node.bracketReset)
+    }));
+};
+
+// Build the winners bracket nodes for competitors listed in seed order
+const buildWinnersBracket = (nodes, competitorIds) => {
+    const size = nextPowerOfTwo(competitorIds.length);
+    const rounds = Math.log2(size);
+    const order = seedOrder(size);
+    const seedSlot = (seed) => (seed <= competitorIds.length ? { competitorId: competitorIds[seed - 1] } : null);
+
+    for (let i = 0; i < size / 2; i++) {
+        const node = createNode(nodes, `W1-${i + 1}`, 'winners', 1);
+        node.slots.A = seedSlot(order[i * 2]);
+        node.slots.B = seedSlot(order[i * 2 + 1]);
+    }
+
+    for (let round = 2; round <= rounds; round++) {
+        const count = size / 2 ** round;
+        for (let i = 0; i < count; i++) {
+            const key = `W${round}-${i + 1}`;
+            createNode(nodes, key, 'winners', round);
+            linkWinner(nodes, `W${round - 1}-${i * 2 + 1}`, key, 'A');
+            linkWinner(nodes, `W${round - 1}-${i * 2 + 2}`, key, 'B');
+        }
+    }
+
+    return { size, rounds };
+};
+
+// Single elimination: competitorIds must be ordered by seed (index 0 = seed 1)
+const buildSingleElimination = (tournamentId, competitorIds, options) => {
+    const nodes = new Map();
+    buildWinnersBracket(nodes, competitorIds);
+    resolveByes(nodes);
+    return toMatchDocuments(tournamentId, nodes, options);
+};
+
+// Double elimination: winners bracket, losers bracket fed by every winners
+// round, and a grand final with an optional bracket reset
+const buildDoubleElimination = (tournamentId, competitorIds, options = {}) => {
+    const { grandFinalReset = true } = options;
+    const nodes = new Map();
+    const { size, rounds } = buildWinnersBracket(nodes, competitorIds);
+
+    // Losers round 1 pairs up the losers of winners round 1
+    for (let i = 0; i < Math.floor(size / 4); i++) {
+        const key = `L1-${i + 1}`;
+        createNode(nodes, key, 'losers', 1);
+        linkLoser(nodes, `W1-${i * 2 + 1}`, key, 'A');
+        linkLoser(nodes, `W1-${i * 2 + 2}`, key, 'B');
+    }
+
+    // Every later winners round drops its losers into an even losers round,
+    // in alternating order so early rematches are avoided
+    for (let wbRound = 2; wbRound <= rounds; wbRound++) {
+        const count = size / 2 ** wbRound;
+        const dropRound = (wbRound - 1) * 2;
+
+        if (dropRound > 2) {
+            for (let i = 0; i < count; i++) {
+                const key = `L${dropRound - 1}-${i + 1}`;
+                createNode(nodes, key, 'losers', dropRound - 1);
+                linkWinner(nodes, `L${dropRound - 2}-${i * 2 + 1}`, key, 'A');
+                linkWinner(nodes, `L${dropRound - 2}-${i * 2 + 2}`, key, 'B');
+            }
+        }
+
+        for (let i = 0; i < count; i++) {
+            const key = `L${dropRound}-${i + 1}`;
+            const dropFrom = wbRound % 2 === 0 ? count - i : i + 1;
+            createNode(nodes, key, 'losers', dropRound);
+            linkWinner(nodes, `L${dropRound - 1}-${i + 1}`, key, 'A');
+            linkLoser(nodes, `W${wbRound}-${dropFrom}`, key, 'B');
+        }
+    }
+
+    const winnersFinal = `W${rounds}-1`;
+    createNode(nodes, 'GF1', 'grand-final', 1);
+    linkWinner(nodes, winnersFinal, 'GF1', 'A');
+    if (rounds > 1) {
+        linkWinner(nodes, `L${(rounds - 1) * 2}-1`, 'GF1', 'B');
+    } else {
+        linkLoser(nodes, winnersFinal, 'GF1', 'B');
+    }
+
+    // Only played when the losers bracket champion (slot B) wins GF1
+    if (grandFinalReset) {
+        createNode(nodes, 'GF2', 'grand-final', 2).bracketReset = true;
+        linkWinner(nodes, 'GF1', 'GF2', 'A');
+        linkLoser(nodes, 'GF1', 'GF2', 'B');
+    }
+
+    resolveByes(nodes);
+    return toMatchDocuments(tournamentId, nodes, options);
+};
+
+// Round robin using the circle method: the first competitor stays fixed while
+// the rest rotate, so everyone meets once per leg. An odd field gets a bye slot,
+// and rounds are spread evenly between startDate and endDate when both are set.
+const buildRoundRobin = (tournamentId, competitorIds, options = {}) => {
+    const { legs = 1, bestOf = 1, startDate, endDate } = options;
+    const circle = competitorIds.length % 2 === 0 ? [...competitorIds] : [...competitorIds, null];
+    const roundsPerLeg = circle.length - 1;
+    const totalRounds = roundsPerLeg * legs;
+
+    const start = startDate ? new Date(startDate).getTime() : null;
+    const end = endDate ? new Date(endDate).getTime() : null;
+    const roundLength = start !== null && end !== null && end > start ? (end - start) / totalRounds : 0;
+    const scheduleFor = (round) => (start !== null ? new Date(start + (round - 1) * roundLength) : undefined);
+
+    const matches = [];
+    for (let leg = 0; leg < legs; leg++) {
+        const rotation = [...circle];
+        for (let i = 0; i < roundsPerLeg; i++) {
+            const round = leg * roundsPerLeg + i + 1;
+            for (let j = 0; j < rotation.length / 2; j++) {
+                let home = rotation[j];
+                let away = rotation[rotation.length - 1 - j];
+                if (home === null || away === null) continue;
+
+                // Alternate the fixed competitor's side, and swap every side on the return leg
+                if ((j === 0 && i % 2 === 1) !== (leg % 2 === 1)) {
+                    [home, away] = [away, home];
+                }
+
+                matches.push({
+                    _id: new mongoose.Types.ObjectId(),
+                    tournamentId,
+                    bracket: 'round-robin',
+                    round,
+                    matchNumber: matches.length + 1,
+                    bestOf,
+                    teamAId: home,
+                    teamBId: away,
+                    scheduledAt: scheduleFor(round)
+                });
+            }
+            rotation.splice(1, 0, rotation.pop());
+        }
+    }
+
+    return matches;
+};
+
+module.exports = {
+    nextPowerOfTwo,
+    seedOrder,
+    buildSingleElimination,
+    buildDoubleElimination,
+    buildRoundRobin
+};
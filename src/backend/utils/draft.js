@@ -0,0 +1,137 @@
+const CHAMPIONS = require('../data/champions.json');
+const { gameKey } = require('./gameStats');
+
+const step = (type, side) => ({ type, side });
+const bans = (...sides) => sides.map(side => step('ban', side));
+const picks = (...sides) => sides.map(side => step('pick', side));
+
+// Tournament draft used by both LoL and MLBB pro play: two ban phases and two
+// pick phases, blue side first
+const TOURNAMENT_DRAFT = [
+    ...bans('blue', 'red', 'blue', 'red', 'blue', 'red'),
+    ...picks('blue', 'red', 'red', 'blue', 'blue', 'red'),
+    ...bans('red', 'blue', 'red', 'blue'),
+    ...picks('red', 'blue', 'blue', 'red')
+];
+
+// Draft order per game, and the stat field that holds each player's champion
+// so box scores can be checked against the draft
+const DRAFT_FORMATS = {
+    lol: { championField: 'champion', order: TOURNAMENT_DRAFT },
+    mlbb: { championField: 'hero', order: TOURNAMENT_DRAFT }
+};
+
+const getDraftFormat = (gameName) => {
+    const key = gameKey(gameName);
+    return DRAFT_FORMATS[key] ? { key, champions: CHAMPIONS[key], ...DRAFT_FORMATS[key] } : null;
+};
+
+// Side ("blue"/"red") each competitor slot plays on in a game
+const sidesOf = (stats) => {
+    const teamASide = (stats && stats.teamASide) || 'blue';
+    return { A: teamASide, B: teamASide === 'blue' ? 'red' : 'blue' };
+};
+
+// Check a draft against the game's order and champion list. A missed ban is
+// recorded with `champion: null`. Returns a list of error messages.
+const validateDraft = (gameName, draft, { stats, playerStats = [], competitorIds = [] } = {}) => {
+    if (!draft || draft.length === 0) return [];
+
+    const format = getDraftFormat(gameName);
+    if (!format) return [`Drafts are not tracked for "${gameName}"`];
+
+    const errors = [];
+    if (draft.length !== format.order.length) {
+        errors.push(`A ${format.key} draft has ${format.order.length} steps, got ${draft.length}`);
+    }
+
+    const seen = new Set();
+    draft.forEach((entry, index) => {
+        const label = `draft step ${index + 1}`;
+        const expected = format.order[index];
+        if (expected && (entry.type !== expected.type || entry.side !== expected.side)) {
+            errors.push(`${label}: expected ${expected.side} ${expected.type}`);
+        }
+
+        if (!entry.champion) {
+            if (entry.type === 'pick') errors.push(`${label}: a pick needs a champion`);
+            return;
+        }
+        if (!format.champions.includes(entry.champion)) {
+            errors.push(`${label}: unknown champion "${entry.champion}"`);
+        }
+        if (seen.has(entry.champion)) {
+            errors.push(`${label}: ${entry.champion} was already picked or banned`);
+        }
+        seen.add(entry.champion);
+    });
+
+    // Every player's champion in the box score must be one of their side's picks
+    const sides = sidesOf(stats);
+    playerStats.forEach((line, index) => {
+        const champion = line.stats && line.stats[format.championField];
+        if (!champion) return;
+
+        const slot = String(line.competitorId) === String(competitorIds[0]) ? 'A' : 'B';
+        const picked = draft.some(entry => entry.type === 'pick' && entry.side === sides[slot] && entry.champion === champion);
+        if (!picked) {
+            errors.push(`player ${index + 1}: ${champion} was not drafted by their side`);
+        }
+    });
+
+    return errors;
+};
+
+// Pick, ban and win rates per champion over a tournament's games with drafts
+const computeDraftStats = (matches) => {
+    const champions = new Map();
+    const entryFor = (champion) => {
+        if (!champions.has(champion)) {
+            champions.set(champion, { champion, picks: 0, bans: 0, wins: 0 });
+        }
+        return champions.get(champion);
+    };
+
+    let games = 0;
+    matches.forEach(match => {
+        match.games
+            .filter(game => game.draft && game.draft.length)
+            .forEach(game => {
+                games += 1;
+                const sides = sidesOf(game.stats);
+                const winningSide = match.teamAId && game.winner && game.winner.equals(match.teamAId) ? sides.A : sides.B;
+
+                game.draft
+                    .filter(entry => entry.champion)
+                    .forEach(entry => {
+                        const record = entryFor(entry.champion);
+                        if (entry.type === 'ban') {
+                            record.bans += 1;
+                        } else {
+                            record.picks += 1;
+                            if (entry.side === winningSide) record.wins += 1;
+                        }
+                    });
+            });
+    });
+
+    const percentage = (count, total) => (total ? Math.round(count / total * 10000) / 100 : 0);
+    const stats = [...champions.values()]
+        .map(record => ({
+            ...record,
+            pickRate: percentage(record.picks, games),
+            banRate: percentage(record.bans, games),
+            presence: percentage(record.picks + record.bans, games),
+            winRate: percentage(record.wins, record.picks)
+        }))
+        .sort((a, b) => b.presence - a.presence || b.picks - a.picks || a.champion.localeCompare(b.champion));
+
+    return { games, champions: stats };
+};
+
+module.exports = {
+    DRAFT_FORMATS,
+    getDraftFormat,
+    validateDraft,
+    computeDraftStats
+};
@@ -0,0 +1,162 @@
+// Stat definitions per game title. `game` fields describe one game/map as a
+// whole, `team` fields are recorded for each side (objectives), and `player`
+// fields make up the box score line of each player.
+const CS2_MAPS = ['Ancient', 'Anubis', 'Dust2', 'Inferno', 'Mirage', 'Nuke', 'Overpass', 'Train', 'Vertigo'];
+
+const GAME_DEFINITIONS = {
+    cs2: {
+        name: 'Counter-Strike 2',
+        aliases: ['cs2', 'counter-strike 2', 'counter strike 2', 'cs:go', 'csgo', 'counter-strike'],
+        game: {
+            map: { type: 'enum', values: CS2_MAPS, required: true },
+            teamAStartSide: { type: 'enum', values: ['ct', 't'] },
+            overtimes: { type: 'number', min: 0 }
+        },
+        team: {
+            roundsCT: { type: 'number', min: 0 },
+            roundsT: { type: 'number', min: 0 }
+        },
+        player: {
+            kills: { type: 'number', min: 0, required: true },
+            deaths: { type: 'number', min: 0, required: true },
+            assists: { type: 'number', min: 0 },
+            adr: { type: 'number', min: 0 },
+            headshotPercentage: { type: 'number', min: 0, max: 100 },
+            rating: { type: 'number', min: 0 }
+        }
+    },
+    lol: {
+        name: 'League of Legends',
+        aliases: ['lol', 'league of legends'],
+        game: {
+            teamASide: { type: 'enum', values: ['blue', 'red'] },
+            patch: { type: 'string' }
+        },
+        team: {
+            towers: { type: 'number', min: 0 },
+            dragons: { type: 'number', min: 0 },
+            barons: { type: 'number', min: 0 },
+            heralds: { type: 'number', min: 0 },
+            gold: { type: 'number', min: 0 }
+        },
+        player: {
+            champion: { type: 'string', required: true },
+            role: { type: 'enum', values: ['top', 'jungle', 'mid', 'bot', 'support'] },
+            kills: { type: 'number', min: 0, required: true },
+            deaths: { type: 'number', min: 0, required: true },
+            assists: { type: 'number', min: 0, required: true },
+            gold: { type: 'number', min: 0 },
+            cs: { type: 'number', min: 0 },
+            damage: { type: 'number', min: 0 }
+        }
+    },
+    mlbb: {
+        name: 'Mobile Legends: Bang Bang',
+        aliases: ['mlbb', 'mobile legends', 'mobile legends: bang bang'],
+        game: {
+            teamASide: { type: 'enum', values: ['blue', 'red'] }
+        },
+        team: {
+            towers: { type: 'number', min: 0 },
+            turtles: { type: 'number', min: 0 },
+            lords: { type: 'number', min: 0 },
+            gold: { type: 'number', min: 0 }
+        },
+        player: {
+            hero: { type: 'string', required: true },
+            role: { type: 'enum', values: ['gold', 'exp', 'mid', 'jungle', 'roam'] },
+            kills: { type: 'number', min: 0, required: true },
+            deaths: { type: 'number', min: 0, required: true },
+            assists: { type: 'number', min: 0, required: true },
+            gold: { type: 'number', min: 0 },
+            damage: { type: 'number', min: 0 }
+        }
+    }
+};
+
+// Definition key for a tournament's free-form gameName, or null when the game
+// has no stat schema
+const gameKey = (gameName) => {
+    const name = String(gameName || '').trim().toLowerCase();
+    return Object.keys(GAME_DEFINITIONS).find(key => GAME_DEFINITIONS[key].aliases.includes(name)) || null;
+};
+
+const getGameDefinition = (gameName) => {
+    const key = gameKey(gameName);
+    return key ? { key, ...GAME_DEFINITIONS[key] } : null;
+};
+
+// Check a flat object of values against a set of field specs
+const validateFields = (values, fields, label) => {
+    const errors = [];
+    const data = values || {};
+
+    Object.keys(data)
+        .filter(field => !fields[field])
+        .forEach(field => errors.push(`${label}: unknown field "${field}"`));
+
+    Object.entries(fields).forEach(([field, spec]) => {
+        const value = data[field];
+        if (value === undefined || value === null || value === '') {
+            if (spec.required) errors.push(`${label}: ${field} is required`);
+            return;
+        }
+
+        if (spec.type === 'number') {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${label}: ${field} must be a number`);
+            } else if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+                errors.push(`${label}: ${field} is out of range`);
+            }
+        } else if (spec.type === 'enum' && !spec.values.includes(value)) {
+            errors.push(`${label}: ${field} must be one of ${spec.values.join(', ')}`);
+        } else if (spec.type === 'string' && typeof value !== 'string') {
+            errors.push(`${label}: ${field} must be text`);
+        }
+    });
+
+    return errors;
+};
+
+// Validate the stats sent with a game. Games without a definition accept no
+// stats, so typos in gameName don't silently store unchecked data.
+// Returns a list of error messages; empty when the stats are valid.
+const validateGameStats = (gameName, { stats, teamStats, playerStats } = {}, competitorIds = []) => {
+    const hasStats = stats || teamStats || (playerStats && playerStats.length);
+    const definition = getGameDefinition(gameName);
+    if (!definition) {
+        return hasStats ? [`No stat schema is defined for "${gameName}"`] : [];
+    }
+    if (!hasStats) return [];
+
+    const sides = competitorIds.map(String);
+    const errors = validateFields(stats, definition.game, 'game');
+
+    Object.entries(teamStats || {}).forEach(([side, values]) => {
+        if (!['A', 'B'].includes(side)) {
+            errors.push(`team: side must be "A" or "B", got "${side}"`);
+            return;
+        }
+        errors.push(...validateFields(values, definition.team, `team ${side}`));
+    });
+
+    (playerStats || []).forEach((line, index) => {
+        const label = `player ${index + 1}`;
+        if (!line.competitorId || !sides.includes(String(line.competitorId))) {
+            errors.push(`${label}: competitorId must be one of the match competitors`);
+        }
+        if (!line.userId && !line.ign) {
+            errors.push(`${label}: userId or ign is required`);
+        }
+        errors.push(...validateFields(line.stats, definition.player, label));
+    });
+
+    return errors;
+};
+
+module.exports = {
+    GAME_DEFINITIONS,
+    gameKey,
+    getGameDefinition,
+    validateGameStats
+};
@@ -0,0 +1,132 @@
+// Seven-map active duty pool used when a tournament doesn't set its own
+const DEFAULT_MAP_POOL = ['Ancient', 'Anubis', 'Dust2', 'Inferno', 'Mirage', 'Nuke', 'Train'];
+const SIDES = ['ct', 't'];
+
+const other = (team) => (team === 'A' ? 'B' : 'A');
+
+// Veto order for a best-of-N from a pool: two opening bans, then alternating
+// picks, the remaining bans, and a decider. A Bo1 is bans only. The opponent of
+// each picker chooses the starting side on that map, and the team that didn't
+// act last chooses it on the decider.
+const buildVetoSequence = (bestOf, poolSize) => {
+    const bans = poolSize - bestOf;
+    if (bestOf < 1 || bans < 0) {
+        throw new Error(`A map pool of ${poolSize} is too small for a best-of-${bestOf}`);
+    }
+
+    const openingBans = bestOf === 1 ? bans : Math.min(2, bans);
+    const actions = [
+        ...Array(openingBans).fill('ban'),
+        ...Array(bestOf - 1).fill('pick'),
+        ...Array(bans - openingBans).fill('ban')
+    ];
+
+    const sequence = [];
+    actions.forEach((action, index) => {
+        const team = index % 2 === 0 ? 'A' : 'B';
+        sequence.push({ action, team });
+        if (action === 'pick') sequence.push({ action: 'side', team: other(team) });
+    });
+
+    const lastTeam = actions.length % 2 === 1 ? 'A' : 'B';
+    sequence.push({ action: 'decider', team: null });
+    sequence.push({ action: 'side', team: other(lastTeam) });
+    return sequence;
+};
+
+const remainingMaps = (veto) => {
+    const used = new Set(veto.steps.filter(step => step.action !== 'side').map(step => step.map));
+    return veto.mapPool.filter(map => !used.has(map));
+};
+
+const currentStep = (veto) => (veto.status === 'in_progress' ? veto.sequence[veto.steps.length] : null);
+
+// The decider needs nobody: it is whatever map is left
+const resolveDecider = (veto, at) => {
+    const next = veto.sequence[veto.steps.length];
+    if (next && next.action === 'decider') {
+        veto.steps.push({ action: 'decider', team: null, map: remainingMaps(veto)[0], auto: true, at });
+    }
+};
+
+// Record the current step and move on; throws when the action doesn't fit the
+// current step
+const applyVetoAction = (veto, { team, map, side, auto = false, at = new Date() }) => {
+    const step = currentStep(veto);
+    if (!step) throw new Error('Map veto is not in progress');
+    if (step.team !== team) throw new Error(`It is team ${step.team}'s turn to ${step.action}`);
+
+    if (step.action === 'side') {
+        if (!SIDES.includes(side)) throw new Error('Side must be "ct" or "t"');
+        const lastMap = [...veto.steps].reverse().find(item => ['pick', 'decider'].includes(item.action)).map;
+        veto.steps.push({ action: 'side', team, map: lastMap, side, auto, at });
+    } else {
+        if (!remainingMaps(veto).includes(map)) throw new Error(`${map} is not available`);
+        veto.steps.push({ action: step.action, team, map, auto, at });
+    }
+
+    resolveDecider(veto, at);
+
+    if (veto.steps.length === veto.sequence.length) {
+        veto.status = 'completed';
+        veto.stepDeadline = null;
+    } else {
+        veto.stepDeadline = new Date(new Date(at).getTime() + veto.stepTimeoutSeconds * 1000);
+    }
+    return veto;
+};
+
+// Play a random action for every step whose deadline has passed
+const applyVetoTimeouts = (veto, now = new Date(), random = Math.random) => {
+    while (veto.status === 'in_progress' && veto.stepDeadline && new Date(veto.stepDeadline) <= now) {
+        const step = currentStep(veto);
+        const maps = remainingMaps(veto);
+        applyVetoAction(veto, {
+            team: step.team,
+            map: maps[Math.floor(random() * maps.length)],
+            side: SIDES[Math.floor(random() * SIDES.length)],
+            auto: true,
+            at: veto.stepDeadline
+        });
+    }
+    return veto;
+};
+
+const startVeto = (mapPool, bestOf, stepTimeoutSeconds, at = new Date()) => {
+    const veto = {
+        status: 'in_progress',
+        mapPool,
+        sequence: buildVetoSequence(bestOf, mapPool.length),
+        steps: [],
+        stepTimeoutSeconds,
+        stepDeadline: new Date(new Date(at).getTime() + stepTimeoutSeconds * 1000)
+    };
+    resolveDecider(veto, at);
+    return veto;
+};
+
+// Maps to play in order, with team A's starting side
+const vetoResult = (veto) => veto.steps
+    .filter(step => ['pick', 'decider'].includes(step.action))
+    .map((step, index) => {
+        const sideStep = veto.steps.find(item => item.action === 'side' && item.map === step.map);
+        return {
+            gameNumber: index + 1,
+            map: step.map,
+            pickedBy: step.action === 'decider' ? 'decider' : step.team,
+            teamAStartSide: sideStep
+                ? (sideStep.team === 'A' ? sideStep.side : SIDES.find(side => side !== sideStep.side))
+                : null
+        };
+    });
+
+module.exports = {
+    DEFAULT_MAP_POOL,
+    buildVetoSequence,
+    remainingMaps,
+    currentStep,
+    startVeto,
+    applyVetoAction,
+    applyVetoTimeouts,
+    vetoResult
+};
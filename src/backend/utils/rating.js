@@ -0,0 +1,36 @@
+// Elo rating helpers shared by every game's leaderboard
+
+const DEFAULT_RATING = 1500;
+const PROVISIONAL_MATCHES = 10;   // new teams move faster until their rating settles
+const PROVISIONAL_K_FACTOR = 40;
+const K_FACTOR = 24;
+
+// Probability that a team rated `rating` beats one rated `opponentRating`
+const expectedScore = (rating, opponentRating) => {
+    return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+};
+
+const kFactor = (matchesPlayed) => {
+    return matchesPlayed < PROVISIONAL_MATCHES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+};
+
+// Rating change for one side; score is 1 for a win, 0.5 for a draw, 0 for a loss
+const ratingChange = (rating, opponentRating, score, matchesPlayed) => {
+    return Math.round(kFactor(matchesPlayed) * (score - expectedScore(rating, opponentRating)));
+};
+
+// Key used to recognise the same entrant across tournaments: its team, or the
+// registering user for solo entries. Imported competitors with neither fall
+// back to their normalized name.
+const ratingKey = (competitor) => {
+    if (competitor.teamId) return `team:${competitor.teamId}`;
+    if (competitor.userId) return `user:${competitor.userId}`;
+    return `name:${String(competitor.name || '').trim().toLowerCase().replace(/\s+/g, ' ')}`;
+};
+
+module.exports = {
+    DEFAULT_RATING,
+    expectedScore,
+    ratingChange,
+    ratingKey
+};
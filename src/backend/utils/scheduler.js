@@ -0,0 +1,277 @@
+const MINUTE = 60 * 1000;
+
+const DEFAULT_SCHEDULING = {
+    dailyStart: '10:00',      // local server time
+    dailyEnd: '22:00',
+    minutesPerGame: 45,       // slot length is bestOf × minutesPerGame
+    stations: 1,              // matches that can be played at the same time
+    minRestMinutes: 30        // between two matches of the same competitor
+};
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+// Same cap as Tournament.scheduling.stations
+const MAX_STATIONS = 64;
+
+const idOf = (value) => (value ? String(value) : null);
+
+// Check scheduling settings against the same rules as Tournament.scheduling;
+// throws on the first invalid value
+const validateSchedulingSettings = (settings) => {
+    ['dailyStart', 'dailyEnd'].forEach(field => {
+        if (!TIME_PATTERN.test(String(settings[field]))) {
+            throw new Error(`Use HH:mm for ${field}`);
+        }
+    });
+    [['minutesPerGame', 1], ['stations', 1], ['minRestMinutes', 0]].forEach(([field, min]) => {
+        const value = settings[field];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min) {
+            throw new Error(`${field} must be a number of at least ${min}`);
+        }
+    });
+    if (!Number.isInteger(settings.stations) || settings.stations > MAX_STATIONS) {
+        throw new Error(`stations must be a whole number up to ${MAX_STATIONS}`);
+    }
+    if (settings.startDate !== undefined && isNaN(new Date(settings.startDate).getTime())) {
+        throw new Error('Invalid startDate');
+    }
+};
+
+const parseTime = (value) => {
+    const [hours, minutes = 0] = String(value).split(':').map(Number);
+    return { hours, minutes };
+};
+
+const atTime = (timestamp, { hours, minutes }) => {
+    const date = new Date(timestamp);
+    date.setHours(hours, minutes, 0, 0);
+    return date.getTime();
+};
+
+// Earliest start at or after `time` where a slot of `length` fits inside a
+// daily playing window
+const fitWindow = (time, length, window) => {
+    let start = Math.max(time, atTime(time, window.start));
+    for (;;) {
+        const dayEnd = atTime(start, window.end);
+        if (start + length <= dayEnd) return start;
+
+        const nextDay = new Date(start);
+        nextDay.setDate(nextDay.getDate() + 1);
+        start = atTime(nextDay.getTime(), window.start);
+    }
+};
+
+// Earliest start at or after `time` that fits the window and overlaps none of `busy`
+const firstFree = (time, length, busy, window) => {
+    let start = fitWindow(time, length, window);
+    for (;;) {
+        const clash = busy.find(slot => start < slot.end && slot.start < start + length);
+        if (!clash) return start;
+        start = fitWindow(clash.end, length, window);
+    }
+};
+
+// Assign a start time and station to every unscheduled match. Throws when the
+// settings are invalid or a match doesn't fit in the daily window. Matches that
+// already have a time (or are finished) are kept and block their station and
+// competitors. A match never starts before the matches feeding it have ended
+// plus the rest period, so bracket order is honoured even before the
+// competitors are known. Returns [{ matchId, scheduledAt, station, endsAt }].
+const scheduleMatches = (matches, options = {}) => {
+    const settings = { ...DEFAULT_SCHEDULING, ...options };
+    validateSchedulingSettings(settings);
+
+    const window = { start: parseTime(settings.dailyStart), end: parseTime(settings.dailyEnd) };
+    const stations = settings.stations;
+    const rest = settings.minRestMinutes * MINUTE;
+    const lengthOf = (match) => (match.bestOf || 1) * settings.minutesPerGame * MINUTE;
+    const startAt = options.startDate ? new Date(options.startDate).getTime() : Date.now();
+
+    const windowLength = atTime(startAt, window.end) - atTime(startAt, window.start);
+    if (windowLength <= 0) {
+        throw new Error('Daily playing window must end after it starts');
+    }
+
+    const playable = matches.filter(match => match.status !== 'cancelled');
+    const pending = playable.filter(match => !match.scheduledAt && match.status === 'scheduled');
+
+    // A slot longer than the window would never find a day to fit in
+    const tooLong = pending.find(match => lengthOf(match) > windowLength);
+    if (tooLong) {
+        throw new Error(`A best-of-${tooLong.bestOf || 1} match takes ${lengthOf(tooLong) / MINUTE} minutes, ` +
+            `longer than the daily window ${settings.dailyStart}-${settings.dailyEnd}`);
+    }
+    const fixed = playable.filter(match => !pending.includes(match));
+
+    const stationBusy = Array.from({ length: stations }, () => []);
+    const competitorBusy = new Map();
+    const endOf = new Map();
+
+    const occupy = (match, start, station) => {
+        const end = start + lengthOf(match);
+        endOf.set(idOf(match._id), end);
+        if (station !== null) stationBusy[station].push({ start, end });
+        [match.teamAId, match.teamBId].filter(Boolean).forEach(competitorId => {
+            const key = idOf(competitorId);
+            if (!competitorBusy.has(key)) competitorBusy.set(key, []);
+            // Padding by the rest period on both sides keeps rest in either direction
+            competitorBusy.get(key).push({ start: start - rest, end: end + rest });
+        });
+        return end;
+    };
+
+    fixed.forEach(match => {
+        if (!match.scheduledAt) return;
+        const station = match.station && match.station <= stations ? match.station - 1 : null;
+        occupy(match, new Date(match.scheduledAt).getTime(), station);
+    });
+
+    // Feeders of each match: those sending their winner or loser into it
+    const feeders = new Map(playable.map(match => [idOf(match._id), []]));
+    playable.forEach(match => {
+        [match.nextMatchId, match.loserNextMatchId].filter(Boolean).forEach(targetId => {
+            if (feeders.has(idOf(targetId))) feeders.get(idOf(targetId)).push(match);
+        });
+    });
+
+    const isPlaced = (match) => !pending.includes(match) || endOf.has(idOf(match._id));
+    const assignments = [];
+    let remaining = [...pending];
+
+    while (remaining.length) {
+        const ready = remaining.filter(match => feeders.get(idOf(match._id)).every(isPlaced));
+        if (ready.length === 0) {
+            throw new Error('Matches depend on feeder matches that cannot be scheduled');
+        }
+
+        // Schedule the ready match that can start first, then by round and match number
+        const candidates = ready.map(match => {
+            const feederEnd = Math.max(startAt, ...feeders.get(idOf(match._id))
+                .filter(feeder => endOf.has(idOf(feeder._id)))
+                .map(feeder => endOf.get(idOf(feeder._id)) + rest));
+            const competitorSlots = [match.teamAId, match.teamBId]
+                .filter(Boolean)
+                .flatMap(competitorId => competitorBusy.get(idOf(competitorId)) || []);
+
+            const best = stationBusy
+                .map((busy, station) => ({
+                    station,
+                    start: firstFree(feederEnd, lengthOf(match), [...busy, ...competitorSlots], window)
+                }))
+                .reduce((a, b) => (b.start < a.start ? b : a));
+            return { match, ...best };
+        });
+
+        candidates.sort((a, b) =>
+            a.start - b.start ||
+            (a.match.round || 0) - (b.match.round || 0) ||
+            (a.match.matchNumber || 0) - (b.match.matchNumber || 0)
+        );
+
+        const { match, start, station } = candidates[0];
+        const end = occupy(match, start, station);
+        assignments.push({ matchId: match._id, scheduledAt: new Date(start), station: station + 1, endsAt: new Date(end) });
+        remaining = remaining.filter(item => item !== match);
+    }
+
+    return assignments;
+};
+
+const sharedCompetitors = (a, b) => {
+    const ids = new Set([a.teamAId, a.teamBId].filter(Boolean).map(idOf));
+    return [b.teamAId, b.teamBId].filter(Boolean).some(competitorId => ids.has(idOf(competitorId)));
+};
+
+const feeds = (feeder, match) =>
+    [feeder.nextMatchId, feeder.loserNextMatchId].some(targetId => targetId && idOf(targetId) === idOf(match._id));
+
+// Problems between two timed matches. Errors should block a change; a short
+// rest between matches of the same competitor is only a warning.
+const pairConflicts = (a, b, { lengthOf, rest }) => {
+    const aStart = new Date(a.scheduledAt).getTime();
+    const bStart = new Date(b.scheduledAt).getTime();
+    const aEnd = aStart + lengthOf(a);
+    const bEnd = bStart + lengthOf(b);
+    const overlaps = aStart < bEnd && bStart < aEnd;
+    const conflict = (type, severity, message) => ({ type, severity, matchId: a._id, otherMatchId: b._id, message });
+    const conflicts = [];
+
+    if (sharedCompetitors(a, b)) {
+        if (overlaps) {
+            conflicts.push(conflict('double-booking', 'error', `Matches ${a.matchNumber} and ${b.matchNumber} share a competitor at the same time`));
+        } else if (Math.max(aStart - bEnd, bStart - aEnd) < rest) {
+            conflicts.push(conflict('rest', 'warning', `Matches ${a.matchNumber} and ${b.matchNumber} leave a competitor less than the minimum rest`));
+        }
+    }
+    if (overlaps && a.station && a.station === b.station) {
+        conflicts.push(conflict('station-taken', 'error', `Matches ${a.matchNumber} and ${b.matchNumber} overlap on station ${a.station}`));
+    }
+    if (feeds(b, a) && aStart < bEnd) {
+        conflicts.push(conflict('before-prerequisite', 'error', `Match ${a.matchNumber} starts before its feeder match ${b.matchNumber} ends`));
+    }
+    if (feeds(a, b) && bStart < aEnd) {
+        conflicts.push(conflict('before-prerequisite', 'error', `Match ${b.matchNumber} starts before its feeder match ${a.matchNumber} ends`));
+    }
+    return conflicts;
+};
+
+const conflictContext = (tournament) => {
+    const scheduling = tournament.scheduling || {};
+    const minutesPerGame = scheduling.minutesPerGame || DEFAULT_SCHEDULING.minutesPerGame;
+    const minRestMinutes = scheduling.minRestMinutes ?? DEFAULT_SCHEDULING.minRestMinutes;
+    return {
+        lengthOf: (match) => (match.bestOf || 1) * minutesPerGame * MINUTE,
+        rest: minRestMinutes * MINUTE,
+        startDate: tournament.startDate ? new Date(tournament.startDate).getTime() : null,
+        endDate: tournament.endDate ? new Date(tournament.endDate).getTime() : null
+    };
+};
+
+const isTimed = (match) => Boolean(match.scheduledAt) && match.status !== 'cancelled';
+
+// Conflicts a single match has, with its own time checked against the
+// tournament dates. `matches` may include the match itself.
+const findMatchConflicts = (match, matches, tournament) => {
+    if (!isTimed(match)) return [];
+
+    const context = conflictContext(tournament);
+    const start = new Date(match.scheduledAt).getTime();
+    const conflicts = [];
+
+    if ((context.startDate !== null && start < context.startDate) ||
+        (context.endDate !== null && start + context.lengthOf(match) > context.endDate)) {
+        conflicts.push({
+            type: 'outside-tournament',
+            severity: 'error',
+            matchId: match._id,
+            otherMatchId: null,
+            message: `Match ${match.matchNumber} is outside the tournament dates`
+        });
+    }
+
+    matches
+        .filter(other => isTimed(other) && idOf(other._id) !== idOf(match._id))
+        .forEach(other => conflicts.push(...pairConflicts(match, other, context)));
+
+    return conflicts;
+};
+
+// Every conflict in a tournament's schedule, each pair reported once
+const findScheduleConflicts = (matches, tournament) => {
+    const timed = matches.filter(isTimed);
+    const context = conflictContext(tournament);
+
+    return timed.flatMap((match, index) => [
+        ...findMatchConflicts(match, [], tournament),
+        ...timed.slice(index + 1).flatMap(other => pairConflicts(match, other, context))
+    ]);
+};
+
+module.exports = {
+    DEFAULT_SCHEDULING,
+    validateSchedulingSettings,
+    scheduleMatches,
+    findMatchConflicts,
+    findScheduleConflicts
+};
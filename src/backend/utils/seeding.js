@@ -0,0 +1,112 @@
+const { seedOrder, nextPowerOfTwo } = require('./bracketGenerator');
+const { ratingKey } = require('./rating');
+
+const SEEDING_METHODS = ['rating', 'random', 'registration'];
+
+const idOf = (value) => String(value);
+
+// Order competitors by a stored seed list; competitors missing from it
+// (registered after seeding) follow in their current order
+const applySeeds = (competitors, seeds = []) => {
+    const position = new Map(seeds.map((seed, index) => [idOf(seed), index]));
+    const seeded = competitors.filter(competitor => position.has(idOf(competitor._id)));
+    const unseeded = competitors.filter(competitor => !position.has(idOf(competitor._id)));
+
+    seeded.sort((a, b) => position.get(idOf(a._id)) - position.get(idOf(b._id)));
+    return [...seeded, ...unseeded];
+};
+
+// Fisher-Yates shuffle on a copy
+const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+// Competitors are expected in registration order. Ratings is a list of
+// Rating documents; unrated competitors are seeded after every rated one.
+const seedCompetitors = (competitors, method, ratings = []) => {
+    switch (method) {
+        case 'random':
+            return shuffle(competitors);
+        case 'rating': {
+            const byKey = new Map(ratings.map(rating => [rating.ratingKey, rating.rating]));
+            const ratingOf = (competitor) => byKey.get(ratingKey(competitor));
+            const rated = competitors.filter(competitor => ratingOf(competitor) !== undefined);
+            const unrated = competitors.filter(competitor => ratingOf(competitor) === undefined);
+            return [...rated.sort((a, b) => ratingOf(b) - ratingOf(a)), ...unrated];
+        }
+        default:
+            return [...competitors];
+    }
+};
+
+// Seeds that share a tier (3-4, 5-8, 9-16...) are considered equally strong
+const tierOf = (seed) => Math.ceil(Math.log2(seed));
+
+// Rounds in which same-region competitors are kept apart where possible
+const SEPARATED_ROUNDS = 2;
+
+// Swap seeds within their tier so that same-region competitors don't meet in
+// the first SEPARATED_ROUNDS rounds: a first-round pairing is avoided before
+// a second-round one. Swaps are only made while they reduce the clashes.
+const separateRegions = (competitors) => {
+    const result = [...competitors];
+    const size = nextPowerOfTwo(result.length);
+    const order = seedOrder(size);
+    const slotOf = new Map(order.map((seed, slot) => [seed, slot]));
+    const blockSize = 2 ** SEPARATED_ROUNDS;
+
+    const regionOf = (seed) => (seed <= result.length ? result[seed - 1].region || null : null);
+    const clash = (a, b) => regionOf(a) !== null && regionOf(a) === regionOf(b);
+
+    // Same-region pairs that could meet early within one block of the bracket.
+    // A meeting one round earlier weighs more than every later-round pair in
+    // the bracket together, so clashes are compared round by round.
+    const blockCost = (block) => {
+        const seeds = order.slice(block * blockSize, (block + 1) * blockSize);
+        let cost = 0;
+        seeds.forEach((a, i) => seeds.slice(i + 1).forEach(b => {
+            if (!clash(a, b)) return;
+            let round = 1;
+            while (Math.floor(slotOf.get(a) / 2 ** round) !== Math.floor(slotOf.get(b) / 2 ** round)) round++;
+            cost += (size + 1) ** (SEPARATED_ROUNDS - round);
+        }));
+        return cost;
+    };
+    const blockOf = (seed) => Math.floor(slotOf.get(seed) / blockSize);
+    const costAround = (a, b) => (blockOf(a) === blockOf(b)
+        ? blockCost(blockOf(a))
+        : blockCost(blockOf(a)) + blockCost(blockOf(b)));
+    const swap = (a, b) => { [result[a - 1], result[b - 1]] = [result[b - 1], result[a - 1]]; };
+
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let a = 3; a <= result.length; a++) {
+            for (let b = a + 1; b <= result.length; b++) {
+                if (tierOf(a) !== tierOf(b)) continue;
+
+                const before = costAround(a, b);
+                swap(a, b);
+                if (costAround(a, b) < before) {
+                    improved = true;
+                } else {
+                    swap(a, b);
+                }
+            }
+        }
+    }
+
+    return result;
+};
+
+module.exports = {
+    SEEDING_METHODS,
+    applySeeds,
+    seedCompetitors,
+    separateRegions
+};
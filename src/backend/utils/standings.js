@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+const DEFAULT_POINTS_SCHEME = { win: 3, draw: 1, loss: 0 };
+const DEFAULT_TIEBREAKERS = ['head-to-head', 'game-differential', 'buchholz', 'coin-flip'];
+
+const idOf = (value) => (value ? String(value) : null);
+
+// Stable "coin flip" so the order doesn't change between requests
+const coinFlip = (tournamentId, competitorId) => {
+    const hash = crypto.createHash('md5').update(`${tournamentId}:${competitorId}`).digest();
+    return hash.readUInt32BE(0);
+};
+
+// Points a record earned against the other members of its tied group
+const headToHead = (record, group, pointsScheme) => {
+    const rivals = new Set(group.map(other => other.id));
+    return record.results
+        .filter(result => rivals.has(result.opponentId))
+        .reduce((sum, result) => sum + pointsScheme[result.outcome], 0);
+};
+
+const tiebreakerValue = (name, record, group, context) => {
+    switch (name) {
+        case 'head-to-head':
+            return headToHead(record, group, context.pointsScheme);
+        case 'game-differential':
+            return record.gameDifferential;
+        case 'buchholz':
+            return record.buchholz;
+        case 'coin-flip':
+            return coinFlip(context.tournamentId, record.id);
+        default:
+            return 0;
+    }
+};
+
+// Order a group tied on points by applying each tiebreaker in turn to the
+// records that are still level
+const breakTies = (group, tiebreakers, context) => {
+    if (group.length <= 1 || tiebreakers.length === 0) return group;
+
+    const [tiebreaker, ...rest] = tiebreakers;
+    const values = new Map(group.map(record => [record.id, tiebreakerValue(tiebreaker, record, group, context)]));
+    const distinct = [...new Set(values.values())].sort((a, b) => b - a);
+
+    return distinct.flatMap(value =>
+        breakTies(group.filter(record => values.get(record.id) === value), rest, context));
+};
+
+// Derive standings from completed matches. A completed match with only one
+// competitor is a bye or walkover and counts as a win with no games played; a
+// double forfeit is a loss for both. Penalty points issued to a competitor are
+// taken off its total, and disqualified competitors are ranked last.
+const computeStandings = (tournamentId, competitors, matches, options = {}) => {
+    const pointsScheme = { ...DEFAULT_POINTS_SCHEME, ...options.pointsScheme };
+    const tiebreakers = options.tiebreakers && options.tiebreakers.length ? options.tiebreakers : DEFAULT_TIEBREAKERS;
+
+    const records = new Map();
+    competitors.forEach(competitor => {
+        const penaltyPoints = (competitor.penalties || []).reduce((sum, penalty) => sum + penalty.points, 0);
+        records.set(idOf(competitor._id), {
+            id: idOf(competitor._id),
+            competitorId: competitor._id,
+            name: competitor.name,
+            logoUrl: competitor.logoUrl,
+            disqualified: competitor.status === 'disqualified',
+            played: 0,
+            wins: 0,
+            draws: 0,
+            losses: 0,
+            points: -penaltyPoints,
+            penaltyPoints,
+            gamesWon: 0,
+            gamesLost: 0,
+            results: []
+        });
+    });
+
+    const addResult = (record, opponentId, outcome, gamesWon, gamesLost) => {
+        record.played += 1;
+        record[{ win: 'wins', draw: 'draws', loss: 'losses' }[outcome]] += 1;
+        record.points += pointsScheme[outcome];
+        record.gamesWon += gamesWon;
+        record.gamesLost += gamesLost;
+        record.results.push({ opponentId, outcome });
+    };
+
+    matches
+        .filter(match => match.status === 'completed')
+        .forEach(match => {
+            const a = records.get(idOf(match.teamAId));
+            const b = records.get(idOf(match.teamBId));
+            const winner = idOf(match.winnerId);
+
+            if (!match.teamAId || !match.teamBId) {
+                const present = a || b;
+                if (present && winner === present.id) addResult(present, null, 'win', 0, 0);
+                return;
+            }
+            if (!a || !b) return;
+
+            if (match.outcome === 'double-forfeit') {
+                addResult(a, b.id, 'loss', 0, 0);
+                addResult(b, a.id, 'loss', 0, 0);
+                return;
+            }
+
+            const scoreA = match.scoreA || 0;
+            const scoreB = match.scoreB || 0;
+            const outcomeA = !winner ? 'draw' : winner === a.id ? 'win' : 'loss';
+            const outcomeB = { win: 'loss', draw: 'draw', loss: 'win' }[outcomeA];
+
+            addResult(a, b.id, outcomeA, scoreA, scoreB);
+            addResult(b, a.id, outcomeB, scoreB, scoreA);
+        });
+
+    const all = [...records.values()].map(record => ({
+        ...record,
+        gameDifferential: record.gamesWon - record.gamesLost
+    }));
+    all.forEach(record => {
+        record.buchholz = record.results
+            .filter(result => result.opponentId)
+            .reduce((sum, result) => sum + records.get(result.opponentId).points, 0);
+    });
+
+    const context = { tournamentId, pointsScheme };
+    const rank = (group) => [...new Set(group.map(record => record.points))]
+        .sort((a, b) => b - a)
+        .flatMap(points => breakTies(group.filter(record => record.points === points), tiebreakers, context));
+    const ordered = [
+        ...rank(all.filter(record => !record.disqualified)),
+        ...rank(all.filter(record => record.disqualified))
+    ];
+
+    return ordered.map(({ id, results, ...record }, index) => ({ rank: index + 1, ...record }));
+};
+
+module.exports = {
+    DEFAULT_POINTS_SCHEME,
+    DEFAULT_TIEBREAKERS,
+    computeStandings
+};
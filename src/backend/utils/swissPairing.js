@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+
+// Opponent win percentages are floored so a single weak opponent doesn't sink a record
+const MIN_OPPONENT_WIN_RATE = 1 / 3;
+
+// Candidates the rematch-free pairing search may try before giving up
+const MAX_PAIRING_STEPS = 2000;
+
+const idOf = (value) => (value ? String(value) : null);
+
+// Key for a pair of competitors regardless of side
+const pairKey = (a, b) => [idOf(a), idOf(b)].sort().join(':');
+
+// Build Swiss standings from completed matches. A match without a second
+// competitor is a bye and counts as a win that doesn't add an opponent. A
+// double forfeit is a loss for both.
+const computeSwissStandings = (competitorIds, matches) => {
+    const records = new Map();
+    competitorIds.forEach((competitorId, index) => {
+        records.set(idOf(competitorId), {
+            competitorId,
+            seed: index + 1,
+            wins: 0,
+            losses: 0,
+            draws: 0,
+            byes: 0,
+            points: 0,
+            opponents: []
+        });
+    });
+
+    matches
+        .filter(match => match.status === 'completed')
+        .forEach(match => {
+            const a = records.get(idOf(match.teamAId));
+            const b = records.get(idOf(match.teamBId));
+            const winner = idOf(match.winnerId);
+
+            if (a && !match.teamBId) {
+                a.byes += 1;
+                a.wins += 1;
+                a.points += 1;
+                return;
+            }
+            if (!a || !b) return;
+
+            a.opponents.push(idOf(b.competitorId));
+            b.opponents.push(idOf(a.competitorId));
+
+            if (match.outcome === 'double-forfeit') {
+                a.losses += 1;
+                b.losses += 1;
+            } else if (!winner) {
+                a.draws += 1;
+                b.draws += 1;
+                a.points += 0.5;
+                b.points += 0.5;
+            } else {
+                const [won, lost] = winner === idOf(a.competitorId) ? [a, b] : [b, a];
+                won.wins += 1;
+                won.points += 1;
+                lost.losses += 1;
+            }
+        });
+
+    const winRate = (record) => {
+        const played = record.wins - record.byes + record.losses + record.draws;
+        if (played === 0) return MIN_OPPONENT_WIN_RATE;
+        return Math.max((record.wins - record.byes + record.draws / 2) / played, MIN_OPPONENT_WIN_RATE);
+    };
+
+    const standings = [...records.values()].map(record => {
+        const opponents = record.opponents.map(id => records.get(id));
+        return {
+            ...record,
+            buchholz: opponents.reduce((sum, opponent) => sum + opponent.points, 0),
+            opponentWinPercentage: opponents.length
+                ? Math.round(opponents.reduce((sum, opponent) => sum + winRate(opponent), 0) / opponents.length * 10000) / 100
+                : 0
+        };
+    });
+
+    standings.sort((a, b) =>
+        b.points - a.points ||
+        b.buchholz - a.buchholz ||
+        b.opponentWinPercentage - a.opponentWinPercentage ||
+        a.seed - b.seed
+    );
+
+    return standings.map((record, index) => ({ ...record, rank: index + 1 }));
+};
+
+// Candidates for the top unpaired competitor: its own score group first, starting
+// from the top of the bottom half (1 vs 5, 2 vs 6... in a group of 8), then floaters
+const candidatesFor = (first, rest) => {
+    const group = rest.filter(record => record.points === first.points);
+    const floaters = rest.filter(record => record.points !== first.points);
+    const offset = Math.floor((group.length + 1) / 2) - 1;
+    return [...group.slice(offset), ...group.slice(0, offset), ...floaters];
+};
+
+// Depth-first pairing in standings order, backtracking to avoid rematches.
+// Gives up (null) once its budget of tried candidates runs out, so a field
+// with no rematch-free pairing can't stall the server.
+const pairWithoutRematches = (records, played, budget = { steps: MAX_PAIRING_STEPS }) => {
+    if (records.length === 0) return [];
+
+    const [first, ...rest] = records;
+    for (const candidate of candidatesFor(first, rest)) {
+        if (played.has(pairKey(first.competitorId, candidate.competitorId))) continue;
+        if (--budget.steps < 0) return null;
+
+        const pairs = pairWithoutRematches(rest.filter(record => record !== candidate), played, budget);
+        if (pairs) return [[first, candidate], ...pairs];
+        if (budget.steps < 0) return null;
+    }
+    return null;
+};
+
+// Pairing without backtracking: each competitor takes its first candidate it
+// hasn't met yet, or its first candidate when it has met them all
+const pairGreedily = (records, played) => {
+    const pairs = [];
+    let pool = [...records];
+    while (pool.length > 1) {
+        const [first, ...rest] = pool;
+        const candidates = candidatesFor(first, rest);
+        const candidate = candidates.find(record => !played.has(pairKey(first.competitorId, record.competitorId))) || candidates[0];
+        pairs.push([first, candidate]);
+        pool = rest.filter(record => record !== candidate);
+    }
+    return pairs;
+};
+
+// Pair the next Swiss round from current standings. Returns Match documents;
+// the bye (if any) is already completed in favour of its competitor.
+const pairSwissRound = (tournamentId, standings, matches, { round, bestOf = 1 } = {}) => {
+    const played = new Set(
+        matches
+            .filter(match => match.teamAId && match.teamBId)
+            .map(match => pairKey(match.teamAId, match.teamBId))
+    );
+
+    let pool = [...standings];
+    let bye = null;
+    if (pool.length % 2 === 1) {
+        // Lowest-ranked competitor that hasn't had a bye yet
+        bye = [...pool].reverse().find(record => record.byes === 0) || pool[pool.length - 1];
+        pool = pool.filter(record => record !== bye);
+    }
+
+    // Fall back to as few rematches as a single pass finds when no rematch-free
+    // pairing turns up within the search budget
+    const pairs = pairWithoutRematches(pool, played) || pairGreedily(pool, played);
+
+    const documents = pairs.map(([a, b], index) => ({
+        _id: new mongoose.Types.ObjectId(),
+        tournamentId,
+        bracket: 'swiss',
+        round,
+        matchNumber: matches.length + index + 1,
+        bestOf,
+        teamAId: a.competitorId,
+        teamBId: b.competitorId
+    }));
+
+    if (bye) {
+        documents.push({
+            _id: new mongoose.Types.ObjectId(),
+            tournamentId,
+            bracket: 'swiss',
+            round,
+            matchNumber: matches.length + documents.length + 1,
+            bestOf,
+            teamAId: bye.competitorId,
+            teamBId: null,
+            winnerId: bye.competitorId,
+            status: 'completed',
+            result: 'bye'
+        });
+    }
+
+    return documents;
+};
+
+module.exports = {
+    computeSwissStandings,
+    pairSwissRound
+};